@@ -0,0 +1,73 @@
+/* eslint-env node */
+
+// Local collector for play analytics, so events can be checked without sending
+// them to Vercel. Open the game with ?analytics=collector and every event is
+// printed here as one line of JSON.
+//
+//   node scripts/collector.js [--port 8788]
+
+import { createServer } from 'node:http';
+
+const DEFAULT_PORT = 8788;
+const MAX_BODY_LENGTH = 16 * 1024;
+
+function parseArguments(args) {
+	const options = { port: DEFAULT_PORT };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === '--port') {
+			options.port = Number(args[++i]);
+		} else {
+			throw new Error(`Unexpected argument "${arg}"`);
+		}
+	}
+	return options;
+}
+
+// The game is served from another origin (the dev server)
+function setCorsHeaders(response) {
+	response.setHeader('Access-Control-Allow-Origin', '*');
+	response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+	response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+function handleRequest(request, response) {
+	setCorsHeaders(response);
+	if (request.method === 'OPTIONS') {
+		response.writeHead(204).end();
+		return;
+	}
+	if (request.method !== 'POST' || request.url !== '/events') {
+		response.writeHead(404).end();
+		return;
+	}
+
+	let body = '';
+	request.setEncoding('utf8');
+	request.on('data', (chunk) => {
+		body += chunk;
+		if (body.length > MAX_BODY_LENGTH) request.destroy();
+	});
+	request.on('end', () => {
+		try {
+			console.log(JSON.stringify(JSON.parse(body)));
+			response.writeHead(204).end();
+		} catch {
+			response.writeHead(400).end();
+		}
+	});
+}
+
+function main() {
+	const { port } = parseArguments(process.argv.slice(2));
+	createServer(handleRequest).listen(port, () => {
+		console.error(`Collecting analytics events on http://localhost:${port}/events`);
+	});
+}
+
+try {
+	main();
+} catch (error) {
+	console.error(error.message);
+	process.exitCode = 1;
+}
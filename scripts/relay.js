@@ -0,0 +1,354 @@
+/* eslint-env node */
+
+// Multiplayer relay: players in the same lobby play one shared arena. The relay
+// runs the round with src/game.js, so targets, hits, scores and the timer are
+// decided here and sent to everyone; players only send their shots and poses.
+// Message formats are described in src/netProtocol.js.
+//
+//   node scripts/relay.js [--port 8787] [--level hard] [--mode coop] [--goal 40]
+//
+// A round starts once every player in the lobby is ready (in a headset
+// session). Players who join during a round wait for the next one. The player
+// who has been in the lobby longest is its host and picks the mode and level.
+
+import * as THREE from 'three';
+import {
+	DEFAULT_PORT,
+	MULTIPLAYER_MODES,
+	PLAYER_COLORS,
+	STATE_RATE,
+	coopColors,
+	coopGoal,
+	packTargets,
+} from '../src/netProtocol.js';
+import { GAME_STATE, createGame, fireBullet, flushEvents, prepareRound, startRound, stepGame } from '../src/game.js';
+import { breakStreak, createScore, scoreHit } from '../src/scoring.js';
+import { defineLevel, getLevel } from '../src/levels.js';
+import { WebSocketServer } from 'ws';
+
+const COLOR_COUNT = 4;
+const TICK_RATE = 60; // Game steps per second
+const MAX_NAME_LENGTH = 12;
+const MAX_DIRECTION_ERROR = 0.01; // How far from unit length a shot's direction may be
+const MAX_SHOT_REACH = 1.5; // Meters from the player's last reported head a shot may start
+// Target models are scaled to fit a 2 m cube at size 1 (see targetInstances.js),
+// so a reported radius outside these is not one a player sees
+const MIN_MODEL_RADIUS = 1;
+const MAX_MODEL_RADIUS = 1.8;
+
+function parseArguments(args) {
+	const options = { port: DEFAULT_PORT, level: 'normal', mode: 'versus', goal: null };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === '--port') {
+			options.port = Number(args[++i]);
+		} else if (arg === '--level') {
+			options.level = args[++i];
+		} else if (arg === '--mode') {
+			options.mode = args[++i];
+		} else if (arg === '--goal') {
+			options.goal = Number(args[++i]);
+		} else {
+			throw new Error(`Unexpected argument "${arg}"`);
+		}
+	}
+	if (!MULTIPLAYER_MODES.some(({ id }) => id === options.mode)) {
+		throw new Error(`Unknown mode "${options.mode}"`);
+	}
+	if (getLevel(options.level).id !== options.level) {
+		throw new Error(`Unknown level "${options.level}"`);
+	}
+	return options;
+}
+
+function isVector(value) {
+	return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// A pose from writePose(): position and rotation
+function isPose(value) {
+	return Array.isArray(value) && value.length === 7 && value.every(Number.isFinite);
+}
+
+function createRelay({ mode, level, goal }) {
+	return {
+		mode,
+		level: getLevel(level),
+		fixedGoal: goal, // Co-op goal from the command line, otherwise it follows the player count
+		players: new Map(), // By id
+		nextId: 1,
+		game: createGame({ level: getLevel(level), colorCount: COLOR_COUNT, powerUps: false }), // Online rounds have no power-ups
+		round: null, // { players, colors, goal, scores } while a round is played
+	};
+}
+
+function send(player, message) {
+	if (player.socket.readyState === player.socket.OPEN) {
+		player.socket.send(JSON.stringify(message));
+	}
+}
+
+function broadcast(relay, message, except = null) {
+	const data = JSON.stringify(message);
+	relay.players.forEach((player) => {
+		if (player !== except && player.socket.readyState === player.socket.OPEN) {
+			player.socket.send(data);
+		}
+	});
+}
+
+// The longest-connected player picks the mode and level
+function hostOf(relay) {
+	return relay.players.keys().next().value ?? null;
+}
+
+function sendLobby(relay) {
+	broadcast(relay, {
+		type: 'lobby',
+		mode: relay.mode,
+		level: relay.level,
+		host: hostOf(relay),
+		players: [...relay.players.values()].map(({ id, name, color, ready }) => ({
+			id,
+			name,
+			color,
+			ready,
+			playing: relay.round?.players.includes(id) ?? false,
+		})),
+	});
+}
+
+function scoresOf(round) {
+	return Object.fromEntries(round.players.map((id) => [id, round.scores[id]]));
+}
+
+// Start a round when everyone in the lobby is ready
+function startRoundIfReady(relay) {
+	const players = [...relay.players.values()];
+	if (relay.round || players.length === 0 || !players.every(({ ready }) => ready)) return;
+
+	const { game, mode, level } = relay;
+	const ids = players.map(({ id }) => id);
+	// Hits are checked against the targets the players see, no bigger than anyone's
+	const radii = players.map(({ modelRadius }) => modelRadius).filter(Boolean);
+	game.modelRadius = radii.length > 0 ? Math.min(...radii) : MIN_MODEL_RADIUS;
+	prepareRound(game, level);
+	startRound(game);
+	relay.round = {
+		players: ids,
+		colors: Object.fromEntries(
+			ids.map((id, i) => [
+				id,
+				mode === 'coop'
+					? coopColors(i, ids.length, COLOR_COUNT)
+					: Array.from({ length: COLOR_COUNT }, (_, color) => color),
+			]),
+		),
+		goal: mode === 'coop' ? (relay.fixedGoal ?? coopGoal(level, ids.length)) : null,
+		scores: Object.fromEntries(ids.map((id) => [id, createScore()])),
+	};
+	broadcast(relay, {
+		type: 'start',
+		seed: game.seed,
+		mode,
+		level,
+		players: ids,
+		colors: relay.round.colors,
+		goal: relay.round.goal,
+	});
+	sendLobby(relay);
+	console.log(`Round started: ${mode}, ${level.id}, ${ids.length} player(s)`);
+}
+
+function endRelayRound(relay) {
+	const { round } = relay;
+	broadcast(relay, { type: 'end', scores: scoresOf(round), goal: round.goal });
+	relay.round = null;
+	relay.game.state = GAME_STATE.READY;
+	// Everyone goes back to the lobby, ready again from their session
+	relay.players.forEach((player) => {
+		player.ready = false;
+	});
+	sendLobby(relay);
+	console.log('Round ended:', JSON.stringify(scoresOf(round)));
+}
+
+// Sort out the game's events for the players: hits and wrong colors are scored
+// for whoever fired the bullet
+function handleGameEvent(relay, event) {
+	const { round } = relay;
+	const owner = event.bullet?.owner;
+	const score = owner && round.scores[owner.player];
+	switch (event.type) {
+		case 'hit': {
+			const points = score ? scoreHit(score) : 0;
+			broadcast(relay, {
+				type: 'hit',
+				player: owner?.player ?? null,
+				shot: owner?.shot ?? null,
+				target: event.target.index,
+				points,
+				point: event.point.toArray(),
+			});
+			break;
+		}
+		case 'deflect':
+			if (score) breakStreak(score);
+			broadcast(relay, {
+				type: 'deflect',
+				player: owner?.player ?? null,
+				shot: owner?.shot ?? null,
+				point: event.point.toArray(),
+				normal: event.normal.toArray(),
+			});
+			break;
+		case 'expire':
+			if (score && event.missed) breakStreak(score);
+			break;
+	}
+}
+
+function handleFire(relay, player, message) {
+	const { game, round } = relay;
+	if (!round?.players.includes(player.id) || game.state !== GAME_STATE.PLAYING) return;
+	const { shot, colorIndex, origin, direction } = message;
+	const hand = message.hand === 'left' ? 'left' : 'right';
+	if (!Number.isInteger(shot) || !isVector(origin) || !isVector(direction)) return;
+	// Co-op players only fire their own colors
+	if (!round.colors[player.id].includes(colorIndex)) return;
+	const directionVector = new THREE.Vector3().fromArray(direction);
+	if (Math.abs(directionVector.length() - 1) > MAX_DIRECTION_ERROR) return;
+	// Shots start from the player's hands, not wherever they say
+	const originVector = new THREE.Vector3().fromArray(origin);
+	if (!player.head || originVector.distanceTo(player.head) > MAX_SHOT_REACH) return;
+
+	fireBullet(game, originVector, directionVector, colorIndex, hand, {
+		player: player.id,
+		shot,
+	});
+	broadcast(relay, { type: 'fire', player: player.id, shot, hand, colorIndex, origin, direction }, player);
+}
+
+function handleMessage(relay, player, message) {
+	switch (message.type) {
+		case 'join':
+			player.name = `${message.name ?? ''}`.slice(0, MAX_NAME_LENGTH) || `Player ${player.id}`;
+			sendLobby(relay);
+			break;
+		case 'setup':
+			// The next round's mode and level, from the host and not while one is played
+			if (relay.round || player.id !== hostOf(relay)) return;
+			if (MULTIPLAYER_MODES.some(({ id }) => id === message.mode)) relay.mode = message.mode;
+			if (message.level) {
+				try {
+					relay.level = defineLevel(message.level);
+				} catch (error) {
+					console.warn(`Ignoring level from ${player.name}:`, error.message);
+				}
+			}
+			sendLobby(relay);
+			break;
+		case 'ready':
+			player.ready = true;
+			if (Number.isFinite(message.modelRadius)) {
+				player.modelRadius = THREE.MathUtils.clamp(message.modelRadius, MIN_MODEL_RADIUS, MAX_MODEL_RADIUS);
+			}
+			sendLobby(relay);
+			startRoundIfReady(relay);
+			break;
+		case 'unready':
+			player.ready = false;
+			sendLobby(relay);
+			break;
+		case 'fire':
+			handleFire(relay, player, message);
+			break;
+		case 'pose':
+			if (!isPose(message.head)) return;
+			player.head = new THREE.Vector3().fromArray(message.head);
+			broadcast(relay, { type: 'pose', player: player.id, head: message.head, left: message.left, right: message.right }, player);
+			break;
+		case 'color':
+			broadcast(relay, { type: 'color', player: player.id, hand: message.hand, colorIndex: message.colorIndex }, player);
+			break;
+	}
+}
+
+function tick(relay, delta, sendState) {
+	const { game, round } = relay;
+	if (!round) return;
+	stepGame(game, delta);
+	flushEvents(game, (event) => handleGameEvent(relay, event));
+	if (game.state !== GAME_STATE.PLAYING) {
+		endRelayRound(relay);
+	} else if (sendState) {
+		broadcast(relay, {
+			type: 'state',
+			timer: game.timer,
+			targets: packTargets(game.targets),
+			scores: scoresOf(round),
+		});
+	}
+}
+
+function main() {
+	const options = parseArguments(process.argv.slice(2));
+	const relay = createRelay(options);
+	const server = new WebSocketServer({ port: options.port });
+
+	server.on('connection', (socket) => {
+		const id = `${relay.nextId++}`;
+		const player = {
+			id,
+			socket,
+			name: `Player ${id}`,
+			color: PLAYER_COLORS[(Number(id) - 1) % PLAYER_COLORS.length],
+			ready: false,
+			modelRadius: null, // Hit radius of the player's target model at size 1
+			head: null, // Head position from the player's last pose, where their shots start near
+		};
+		relay.players.set(id, player);
+		send(player, { type: 'welcome', id });
+		sendLobby(relay);
+
+		socket.on('message', (data) => {
+			let message;
+			try {
+				message = JSON.parse(data);
+			} catch {
+				return; // Not ours, ignore it
+			}
+			if (!message || typeof message !== 'object') return; // Valid JSON, but no message
+			handleMessage(relay, player, message);
+		});
+		socket.on('close', () => {
+			relay.players.delete(id);
+			broadcast(relay, { type: 'left', player: id });
+			// A round without any of its players left ends
+			if (relay.round && !relay.round.players.some((playerId) => relay.players.has(playerId))) {
+				endRelayRound(relay);
+			}
+			sendLobby(relay);
+			startRoundIfReady(relay);
+		});
+	});
+
+	// Step about TICK_RATE times a second, and send a snapshot every few steps
+	const stepsPerState = Math.round(TICK_RATE / STATE_RATE);
+	let step = 0;
+	let lastTime = performance.now();
+	setInterval(() => {
+		const now = performance.now();
+		tick(relay, (now - lastTime) / 1000, ++step % stepsPerState === 0);
+		lastTime = now;
+	}, 1000 / TICK_RATE);
+
+	console.log(`Relay listening on ws://localhost:${options.port} (${options.mode}, ${relay.level.id})`);
+}
+
+try {
+	main();
+} catch (error) {
+	console.error(error.message);
+	process.exitCode = 1;
+}
@@ -0,0 +1,238 @@
+/* eslint-env node */
+
+// Play a full round without a headset: the game from src/game.js is stepped at
+// a fixed frame rate and fed the shots of a scripted input file, then the final
+// state is printed as JSON. The same input (and seed) always gives the same
+// result, so balance changes can be checked on CI.
+//
+//   node scripts/simulate.js scripts/inputs/steady.json [--seed 7] [--level hard] [--mode endless] [--events]
+//
+// Input file:
+// {
+//   "seed": 42,                 // Optional, random when left out
+//   "level": "normal",          // A level id or a full level definition (see levels.js)
+//   "mode": "timed",            // Optional game mode id (see modes.js), untimed ones stop after the level's duration
+//   "frameRate": 72,            // Steps per second
+//   "inputs": [
+//     // Fire at `time` seconds, then again `every` seconds until `until`
+//     { "time": 0.5, "every": 0.4, "until": 60, "fire": { "at": "nearest", "color": "match" } },
+//     // Pause for `duration` seconds
+//     { "time": 30, "pause": { "duration": 5 } }
+//   ],
+//   "expect": { "hits": 47 }    // Optional result fields to check, the run fails if one differs
+// }
+//
+// A shot leaves from `origin` (default [0, 1.5, 0]) along `direction`, or
+// towards a target: "at" is "nearest", "random" or a target index. "color" is a
+// color index or "match" for the color of the target aimed at. Shots aimed at
+// a target are skipped while no target is in play. "expect" is only checked
+// when the seed, level and mode come from the file, not the command line.
+
+import * as THREE from 'three';
+import {
+	GAME_STATE,
+	createGame,
+	fireShot,
+	flushEvents,
+	pauseRound,
+	prepareRound,
+	resumeRound,
+	startRound,
+	stepGame,
+} from '../src/game.js';
+import { MODES, getMode } from '../src/modes.js';
+import { defineLevel, getLevel } from '../src/levels.js';
+import { createRandom } from '../src/random.js';
+import { readFile } from 'node:fs/promises';
+
+const COLOR_COUNT = 4;
+const DEFAULT_ORIGIN = [0, 1.5, 0];
+const MAX_OVERTIME = 10; // Seconds simulated past the round length before giving up
+
+function parseArguments(args) {
+	const options = { file: null, seed: undefined, level: undefined, mode: undefined, events: false };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === '--seed') {
+			options.seed = Number(args[++i]);
+		} else if (arg === '--level') {
+			options.level = args[++i];
+		} else if (arg === '--mode') {
+			options.mode = args[++i];
+		} else if (arg === '--events') {
+			options.events = true;
+		} else if (!options.file) {
+			options.file = arg;
+		} else {
+			throw new Error(`Unexpected argument "${arg}"`);
+		}
+	}
+	if (!options.file) {
+		throw new Error('Usage: node scripts/simulate.js <input.json> [--seed n] [--level id] [--mode id] [--events]');
+	}
+	return options;
+}
+
+function resolveLevel(level = 'normal') {
+	if (typeof level === 'object') return defineLevel(level);
+	const resolved = getLevel(level);
+	if (resolved.id !== level) throw new Error(`Unknown level "${level}"`);
+	return resolved;
+}
+
+function resolveMode(mode = 'timed') {
+	if (!MODES.some((other) => other.id === mode)) throw new Error(`Unknown mode "${mode}"`);
+	return getMode(mode);
+}
+
+// Expand repeating inputs into a time-ordered list of single actions
+function scheduleInputs(inputs = [], duration) {
+	const actions = [];
+	inputs.forEach((input, i) => {
+		if (typeof input.time !== 'number' || input.time < 0) {
+			throw new Error(`Input ${i}: "time" must be a number of seconds`);
+		}
+		if (!input.fire && !input.pause) {
+			throw new Error(`Input ${i}: needs "fire" or "pause"`);
+		}
+		const until = input.until ?? duration;
+		const every = input.every;
+		if (every !== undefined && !(every > 0)) {
+			throw new Error(`Input ${i}: "every" must be a positive number of seconds`);
+		}
+		for (let time = input.time; time <= until; time += every) {
+			if (input.fire) actions.push({ time, fire: input.fire });
+			if (input.pause) {
+				actions.push({ time, pause: true });
+				actions.push({ time: time + (input.pause.duration ?? 0), resume: true });
+			}
+			if (every === undefined) break;
+		}
+	});
+	// Stable sort keeps same-time inputs in file order
+	return actions.sort((a, b) => a.time - b.time);
+}
+
+function pickTarget(game, at, origin, random) {
+	const inPlay = game.targets.filter((target) => target.visible && !target.popping);
+	if (typeof at === 'number') {
+		const target = game.targets[at];
+		return target && inPlay.includes(target) ? target : null;
+	}
+	if (inPlay.length === 0) return null;
+	if (at === 'random') return inPlay[Math.floor(random() * inPlay.length)];
+	if (at === 'nearest') {
+		return inPlay.reduce((nearest, target) =>
+			target.position.distanceTo(origin) < nearest.position.distanceTo(origin) ? target : nearest,
+		);
+	}
+	throw new Error(`Unknown fire target "${at}"`);
+}
+
+// Returns false if the shot has nothing to aim at
+function fire(game, shot, random) {
+	const origin = new THREE.Vector3().fromArray(shot.origin ?? DEFAULT_ORIGIN);
+	const direction = new THREE.Vector3();
+	let target = null;
+	if (shot.direction) {
+		direction.fromArray(shot.direction).normalize();
+	} else {
+		target = pickTarget(game, shot.at ?? 'nearest', origin, random);
+		if (!target) return false;
+		direction.subVectors(target.position, origin).normalize();
+	}
+
+	const color = shot.color ?? 'match';
+	let colorIndex = color;
+	if (color === 'match') {
+		if (!target) throw new Error('"color": "match" needs a shot aimed at a target');
+		colorIndex = target.colorIndex;
+	} else if (!Number.isInteger(color) || color < 0 || color >= COLOR_COUNT) {
+		throw new Error(`Unknown color ${JSON.stringify(color)}`);
+	}
+	fireShot(game, origin, direction, colorIndex, 'right');
+	return true;
+}
+
+function simulate(input, { seed, level, mode, events = false } = {}) {
+	const game = createGame({
+		level: resolveLevel(level ?? input.level),
+		mode: resolveMode(mode ?? input.mode),
+		colorCount: COLOR_COUNT,
+	});
+	prepareRound(game, game.level, { seed: seed ?? input.seed });
+	startRound(game);
+	// Shots at "random" targets have their own generator, so they don't change the arena
+	const random = createRandom(game.seed + 1);
+	const frameRate = input.frameRate ?? 72;
+	const delta = 1 / frameRate;
+	const actions = scheduleInputs(input.inputs, game.level.duration);
+	const stats = { shots: 0, skippedShots: 0, hits: 0, wrongColorHits: 0, misses: 0, powerUps: 0 };
+
+	let time = 0;
+	let next = 0;
+	const maxTime = game.level.duration + (game.mode.timer ? MAX_OVERTIME : 0);
+	while (game.state !== GAME_STATE.GAME_OVER && time < maxTime) {
+		while (next < actions.length && actions[next].time <= time) {
+			const action = actions[next++];
+			if (action.pause) {
+				pauseRound(game);
+			} else if (action.resume) {
+				resumeRound(game);
+			} else if (game.state === GAME_STATE.PLAYING) {
+				if (fire(game, action.fire, random)) {
+					stats.shots += 1;
+				} else {
+					stats.skippedShots += 1;
+				}
+			}
+		}
+
+		stepGame(game, delta);
+		time += delta;
+		flushEvents(game, (event) => {
+			if (event.type === 'hit') stats.hits += 1;
+			if (event.type === 'deflect') stats.wrongColorHits += 1;
+			if (event.type === 'expire' && event.missed) stats.misses += 1;
+			if (event.type === 'powerUp') stats.powerUps += 1;
+			if (events) {
+				const { type, points, missed, powerUp } = event;
+				const target = event.target?.index;
+				console.error(JSON.stringify({ time: Number(time.toFixed(3)), type, target, points, missed, powerUp }));
+			}
+		});
+	}
+
+	return {
+		seed: game.seed,
+		level: game.level.id,
+		mode: game.mode.id,
+		state: game.state,
+		time: Number(time.toFixed(3)),
+		timer: game.timer,
+		lives: game.lives,
+		score: game.score,
+		...stats,
+		accuracy: stats.shots > 0 ? Number((stats.hits / stats.shots).toFixed(3)) : 0,
+	};
+}
+
+async function main() {
+	const options = parseArguments(process.argv.slice(2));
+	const input = JSON.parse(await readFile(options.file, 'utf8'));
+	const result = simulate(input, options);
+	console.log(JSON.stringify(result, null, 2));
+
+	const overridden = [options.seed, options.level, options.mode].some((option) => option !== undefined);
+	if (!input.expect || overridden) return;
+	const failures = Object.entries(input.expect).filter(([key, value]) => result[key] !== value);
+	failures.forEach(([key, value]) => {
+		console.error(`Expected ${key} ${JSON.stringify(value)}, got ${JSON.stringify(result[key])}`);
+	});
+	if (failures.length > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+	console.error(error.message);
+	process.exitCode = 1;
+});
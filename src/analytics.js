@@ -1,6 +1,103 @@
-import { inject } from '@vercel/analytics';
+import { getSetting, onSettingChange } from './settings.js';
+import { inject, track } from '@vercel/analytics';
+
+// Page views and play events (session start, game start and over, restarts,
+// errors). Nothing is sent until the player agrees with the toggle on the title
+// card. Events go to a sink, Vercel Analytics unless the URL asks for another:
+// ?analytics=console logs them, ?analytics=collector posts them to
+// scripts/collector.js on localhost, and an http(s) URL on this machine (another
+// collector port) is posted to. URLs on other hosts are ignored, a shared link
+// must not send the player's events elsewhere.
+// Properties are flat strings, numbers and booleans, as Vercel expects.
+
+const COLLECTOR_URL = 'http://localhost:8788/events';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+let sink = vercelSink;
+let injected = false; // The Vercel script is only loaded once there is consent
+
+export function vercelSink(name, properties) {
+	track(name, properties);
+}
+
+export function consoleSink(name, properties) {
+	console.log(`[analytics] ${name}`, properties);
+}
+
+// Post each event as JSON to `url`. Sent as plain text so the browser doesn't
+// need a preflight request.
+export function createCollectorSink(url) {
+	return (name, properties) => {
+		fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'text/plain' },
+			body: JSON.stringify({ name, properties, time: new Date().toISOString() }),
+			keepalive: true,
+		}).catch(() => {
+			// do nothing if the collector isn't running
+		});
+	};
+}
+
+// Send events somewhere else, e.g. a test's own function
+export function setAnalyticsSink(newSink) {
+	sink = newSink;
+	startVercel();
+}
+
+function sinkFromUrl() {
+	const choice = new URLSearchParams(window.location.search).get('analytics');
+	if (choice === 'console') return consoleSink;
+	if (choice === 'collector') return createCollectorSink(COLLECTOR_URL);
+	if (isLocalUrl(choice)) return createCollectorSink(choice);
+	return vercelSink;
+}
+
+function isLocalUrl(value) {
+	try {
+		const url = new URL(value);
+		return ['http:', 'https:'].includes(url.protocol) && LOCAL_HOSTS.includes(url.hostname);
+	} catch {
+		return false; // Not a URL at all
+	}
+}
+
+function startVercel() {
+	if (injected || sink !== vercelSink || !getSetting('analytics')) return;
+	injected = true;
+	// Page views stop too if consent is taken back
+	inject({ beforeSend: (event) => (getSetting('analytics') ? event : null) });
+}
 
-// Initialize analytics
 export function initAnalytics() {
-    inject();
-} 
\ No newline at end of file
+	sink = sinkFromUrl();
+	startVercel();
+	onSettingChange((key) => {
+		if (key === 'analytics') startVercel();
+	});
+}
+
+export function trackEvent(name, properties = {}) {
+	if (!getSetting('analytics')) return;
+	try {
+		sink(name, properties);
+	} catch (error) {
+		console.warn('Analytics sink failed:', error);
+	}
+}
+
+// Report an error, `where` says what failed (e.g. 'asset', 'reference_space')
+export function trackError(where, error, properties = {}) {
+	const message = `${error?.message ?? error}`.slice(0, 200);
+	trackEvent('error', { where, message, ...properties });
+}
+
+// Rough kind of device, from the user agent
+export function getDeviceName() {
+	const { userAgent } = navigator;
+	if (/OculusBrowser|Quest/.test(userAgent)) return 'Meta Quest';
+	if (/Pico/.test(userAgent)) return 'Pico';
+	if (/Android/.test(userAgent)) return 'Android';
+	if (/iPhone|iPad/.test(userAgent)) return 'iOS';
+	return 'Desktop';
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+import { readPose } from './netProtocol.js';
+
+// Other players of a multiplayer round: a head in their player color with their
+// name and score above it, and a blaster per hand showing the color it fires.
+// Poses come from the relay a few times a second and are eased towards.
+
+const SMOOTHING = 20; // How quickly avatars catch up with their last pose, per second
+// Every player stands at the origin of their own space, so the others are drawn
+// side by side in lobby order, this far apart
+const AVATAR_SPACING = 1.5;
+
+const headGeometry = new THREE.SphereGeometry(0.11, 16, 12);
+const visorGeometry = new THREE.BoxGeometry(0.16, 0.05, 0.06);
+const visorMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
+
+function createPart() {
+	const object = new THREE.Group();
+	object.visible = false;
+	return { object, target: new THREE.Object3D() };
+}
+
+export function createAvatar({ name, color }, colors) {
+	const group = new THREE.Group();
+	group.name = `avatar ${name}`;
+
+	const head = createPart();
+	const headMesh = new THREE.Mesh(headGeometry, new THREE.MeshBasicMaterial({ color }));
+	const visor = new THREE.Mesh(visorGeometry, visorMaterial);
+	visor.position.set(0, 0.01, -0.09); // Faces -z, the way the player looks
+	head.object.add(headMesh, visor);
+	group.add(head.object);
+
+	const label = new Text();
+	label.font = 'assets/SpaceMono-Bold.ttf';
+	label.fontSize = 0.07;
+	label.color = color;
+	label.anchorX = 'center';
+	label.anchorY = 'bottom';
+	group.add(label);
+
+	const hands = {};
+	['left', 'right'].forEach((hand) => {
+		const part = createPart();
+		part.material = new THREE.MeshBasicMaterial({ color: colors[0] });
+		group.add(part.object);
+		hands[hand] = part;
+	});
+
+	const avatar = { group, head, hands, label, name, colors, score: 0 };
+	setAvatarScore(avatar, 0);
+	return avatar;
+}
+
+// Give each hand its own copy of the blaster model, its projectile shows the selected color
+export function attachAvatarModel(avatar, model) {
+	Object.values(avatar.hands).forEach((part) => {
+		const copy = model.clone();
+		['bullet', 'sphere'].forEach((name) => {
+			const mesh = copy.getObjectByName(name);
+			if (mesh) mesh.material = part.material;
+		});
+		part.object.add(copy);
+	});
+}
+
+// Stand the avatar `slot` places to the right of the viewer (left when negative).
+// Their shots are moved by the same offset.
+export function placeAvatar(avatar, slot) {
+	avatar.group.position.set(slot * AVATAR_SPACING, 0, 0);
+}
+
+export function setAvatarScore(avatar, score) {
+	avatar.score = score;
+	avatar.label.text = `${avatar.name}\n${score}`;
+	avatar.label.sync();
+}
+
+export function setAvatarColor(avatar, hand, colorIndex) {
+	const color = avatar.colors[colorIndex];
+	if (avatar.hands[hand] && color !== undefined) avatar.hands[hand].material.color.setHex(color);
+}
+
+// Pose message from the relay: head, left and right (null for a hand not in use)
+export function setAvatarPose(avatar, { head, left, right }) {
+	[
+		[avatar.head, head],
+		[avatar.hands.left, left],
+		[avatar.hands.right, right],
+	].forEach(([part, pose]) => {
+		if (!Array.isArray(pose)) {
+			part.object.visible = false;
+			return;
+		}
+		readPose(pose, part.target);
+		if (!part.object.visible) {
+			// Appear where the player is rather than sliding in
+			part.object.position.copy(part.target.position);
+			part.object.quaternion.copy(part.target.quaternion);
+			part.object.visible = true;
+		}
+	});
+}
+
+// Ease the avatar towards its pose, with its label turned towards the viewer
+export function updateAvatar(avatar, delta, viewerPosition) {
+	const blend = 1 - Math.exp(-delta * SMOOTHING);
+	[avatar.head, avatar.hands.left, avatar.hands.right].forEach(({ object, target }) => {
+		object.position.lerp(target.position, blend);
+		object.quaternion.slerp(target.quaternion, blend);
+	});
+	avatar.label.visible = avatar.head.object.visible;
+	avatar.label.position.copy(avatar.head.object.position).y += 0.18;
+	avatar.label.lookAt(viewerPosition);
+}
+
+export function disposeAvatar(avatar) {
+	avatar.group.removeFromParent();
+	avatar.label.dispose();
+	avatar.head.object.children[0].material.dispose();
+	Object.values(avatar.hands).forEach(({ material }) => material.dispose());
+}
@@ -0,0 +1,324 @@
+import * as THREE from 'three';
+import { createColorWheel, setColorWheelPalette } from './colorWheel.js';
+import { Text } from 'troika-three-text';
+
+// A blaster held in one hand, with its own selected color, score/timer HUD and sounds
+
+// Where the HUD sits on the blaster (see the hudPosition setting). `side` is
+// mirrored to the outside of the left hand.
+const HUD_POSITIONS = {
+	top: new THREE.Vector3(0, 0.2, 0.1),
+	side: new THREE.Vector3(0.12, 0.1, 0.1),
+	back: new THREE.Vector3(0, 0.12, 0.2),
+};
+
+// Create a bright white material that matches the blaster
+const scoreTextMaterial = new THREE.MeshBasicMaterial({
+	color: new THREE.Color(1, 1, 1), // Pure white using RGB values
+	side: THREE.DoubleSide,
+	transparent: false,
+	toneMapped: false // Disable tone mapping to maintain full brightness
+});
+
+function createScoreText() {
+	const scoreText = new Text();
+	scoreText.fontSize = 0.05;
+	scoreText.font = 'assets/SpaceMono-Bold.ttf';
+	scoreText.anchorX = 'center';
+	scoreText.anchorY = 'middle';
+	scoreText.material = scoreTextMaterial;
+	scoreText.color = '#FFFFFF';
+	scoreText.fillOpacity = 1;
+	scoreText.outlineWidth = 0;
+	scoreText.outlineOpacity = 0;
+	scoreText.strokeOpacity = 1;
+	scoreText.strokeColor = '#FFFFFF';
+	scoreText.renderOrder = 1;
+	return scoreText;
+}
+
+// Combo multiplier shown under the score, hidden while it is x1
+function createMultiplierText() {
+	const multiplierText = new Text();
+	multiplierText.fontSize = 0.02;
+	multiplierText.font = 'assets/SpaceMono-Bold.ttf';
+	multiplierText.anchorX = 'center';
+	multiplierText.anchorY = 'middle';
+	multiplierText.position.set(0, -0.03, 0); // Below the score
+	multiplierText.material = scoreTextMaterial;
+	multiplierText.color = '#FFB900'; // Yellow color
+	multiplierText.renderOrder = 1;
+	multiplierText.visible = false;
+	return multiplierText;
+}
+
+// Power-up effects in play with their seconds left, under the timer ring
+function createPowerUpText() {
+	const powerUpText = new Text();
+	powerUpText.fontSize = 0.018;
+	powerUpText.font = 'assets/SpaceMono-Bold.ttf';
+	powerUpText.anchorX = 'center';
+	powerUpText.anchorY = 'middle';
+	powerUpText.position.set(0, -0.11, 0); // Below the ring
+	powerUpText.material = scoreTextMaterial;
+	powerUpText.color = '#7FDBFF'; // Light blue
+	powerUpText.renderOrder = 1;
+	powerUpText.text = '';
+	return powerUpText;
+}
+
+// Create the radial timer ring
+function createTimerRing() {
+	// Create a ring geometry
+	const innerRadius = 0.07;
+	const outerRadius = 0.09;
+	const thetaSegments = 32;
+	const phiSegments = 1;
+	const thetaStart = 0;
+	const thetaLength = Math.PI * 2; // Full circle
+	
+	const ringGeometry = new THREE.RingGeometry(
+		innerRadius, outerRadius, thetaSegments, phiSegments, thetaStart, thetaLength
+	);
+	
+	// Create a shader material for the timer
+	const timerMaterial = new THREE.ShaderMaterial({
+		uniforms: {
+			color: { value: new THREE.Color(0x4CAF50) }, // Green color
+			progress: { value: 1.0 }, // Start at 100% (full circle)
+			segments: { value: 0 } // Split into this many parts, for lives (0 for a whole ring)
+		},
+		vertexShader: `
+			varying vec2 vUv;
+			void main() {
+				vUv = uv;
+				gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+			}
+		`,
+		fragmentShader: `
+			uniform vec3 color;
+			uniform float progress;
+			uniform float segments;
+			varying vec2 vUv;
+			
+			void main() {
+				// Calculate angle of current fragment
+				float angle = atan(vUv.y - 0.5, vUv.x - 0.5);
+				
+				// Normalize angle to 0-1 range
+				float normalizedAngle = (angle + 3.14159) / (2.0 * 3.14159);
+				
+				// If normalized angle is less than progress, show color
+				if (normalizedAngle > progress) {
+					discard;
+				}
+				
+				// Gaps between the segments
+				if (segments > 0.0 && fract(normalizedAngle * segments) < 0.06) {
+					discard;
+				}
+				
+				gl_FragColor = vec4(color, 1.0);
+			}
+		`,
+		side: THREE.DoubleSide,
+		transparent: true
+	});
+	
+	// Create the ring mesh
+	const ring = new THREE.Mesh(ringGeometry, timerMaterial);
+	
+	// Around the score text, slightly larger
+	// Set rotation to -20 degrees (converted to radians) for better visibility
+	ring.rotation.x = -0.349; // -20 degrees in radians
+	ring.rotation.z = -1.5; // 45 degrees in radians
+	
+	return ring;
+}
+
+// Row of color swatches above the HUD, shown while a tracked hand has its palm up
+function createColorMenu(colors) {
+	const menu = new THREE.Group();
+	const swatchGeometry = new THREE.SphereGeometry(0.012);
+	const spacing = 0.035;
+	colors.forEach((color, i) => {
+		const swatch = new THREE.Mesh(
+			swatchGeometry,
+			new THREE.MeshBasicMaterial({ color, toneMapped: false }),
+		);
+		swatch.position.x = (i - (colors.length - 1) / 2) * spacing;
+		menu.add(swatch);
+	});
+	menu.position.set(0, 0.07, 0); // Above the score
+	menu.visible = false;
+	return menu;
+}
+
+export function createBlaster(hand, colors) {
+	return {
+		hand, // 'left' or 'right'
+		group: new THREE.Group(),
+		hud: new THREE.Group(), // Score, timer and color menu, moved as one
+		colorIndex: 0,
+		// Shared by the bullet and sphere meshes of the model, shows the selected color
+		projectileMaterial: new THREE.MeshBasicMaterial({ color: colors[0] }),
+		scoreText: createScoreText(),
+		multiplierText: createMultiplierText(),
+		powerUpText: createPowerUpText(),
+		timerRing: createTimerRing(),
+		timerFlashUntil: 0, // performance.now() until which the timer ring flashes
+		colorMenu: createColorMenu(colors),
+		colorWheel: createColorWheel(colors), // Around the barrel, see colorWheel.js
+		patterns: null, // Symbol pattern per color slot, while symbols are on
+		laserSound: null,
+		scoreSound: null,
+	};
+}
+
+// Add a copy of the loaded blaster model and the HUD to the blaster
+export function attachBlasterModel(blaster, model) {
+	const blasterModel = model.clone();
+
+	// Get references to bullet and sphere meshes
+	const bulletMesh = blasterModel.getObjectByName('bullet');
+	const sphereMesh = blasterModel.getObjectByName('sphere');
+
+	// Apply shared material to both meshes
+	if (bulletMesh) bulletMesh.material = blaster.projectileMaterial;
+	if (sphereMesh) sphereMesh.material = blaster.projectileMaterial;
+
+	blaster.group.add(blasterModel);
+	blaster.hud.add(blaster.scoreText);
+	blaster.hud.add(blaster.multiplierText);
+	blaster.hud.add(blaster.powerUpText);
+	blaster.hud.add(blaster.timerRing);
+	blaster.hud.add(blaster.colorMenu);
+	blaster.group.add(blaster.hud);
+	blaster.group.add(blaster.colorWheel.group);
+}
+
+// Move the HUD to one of HUD_POSITIONS
+export function setBlasterHudPosition(blaster, position) {
+	blaster.hud.position.copy(HUD_POSITIONS[position] ?? HUD_POSITIONS.top);
+	if (position === 'side' && blaster.hand === 'left') blaster.hud.position.x *= -1;
+}
+
+// Volume (0-1) of the blaster's laser and score sounds
+export function setBlasterVolume(blaster, volume) {
+	blaster.laserSound?.setVolume(volume);
+	blaster.scoreSound?.setVolume(volume);
+}
+
+// Give the blaster its own laser and score sounds from the shared audio buffers
+export function addBlasterSounds(blaster, listener, laserBuffer, scoreBuffer) {
+	blaster.laserSound = new THREE.PositionalAudio(listener);
+	blaster.laserSound.setBuffer(laserBuffer);
+	blaster.group.add(blaster.laserSound);
+
+	blaster.scoreSound = new THREE.PositionalAudio(listener);
+	blaster.scoreSound.setBuffer(scoreBuffer);
+	blaster.scoreText.add(blaster.scoreSound);
+}
+
+export function playBlasterSound(sound) {
+	if (!sound?.buffer) return;
+	if (sound.isPlaying) sound.stop();
+	sound.play();
+}
+
+export function setBlasterColor(blaster, colorIndex, color) {
+	const { projectileMaterial, patterns } = blaster;
+	blaster.colorIndex = colorIndex;
+	projectileMaterial.color.setHex(color);
+	const map = patterns ? patterns[colorIndex] : null;
+	if (projectileMaterial.map !== map) {
+		projectileMaterial.map = map;
+		projectileMaterial.needsUpdate = true;
+	}
+}
+
+// Switch the projectile, color menu and color wheel to new colors, with a symbol pattern per
+// color slot or plain (patterns null)
+export function setBlasterPalette(blaster, colors, patterns) {
+	blaster.patterns = patterns;
+	blaster.colorMenu.children.forEach((swatch, i) => {
+		swatch.material.color.setHex(colors[i]);
+		swatch.material.map = patterns ? patterns[i] : null;
+		swatch.material.needsUpdate = true;
+	});
+	setColorWheelPalette(blaster.colorWheel, colors, patterns);
+	setBlasterColor(blaster, blaster.colorIndex, colors[blaster.colorIndex]);
+}
+
+// Show or hide the color menu, the selected color is drawn larger
+export function updateBlasterColorMenu(blaster, open) {
+	const { colorMenu, colorIndex } = blaster;
+	colorMenu.visible = open;
+	if (!open) return;
+	colorMenu.children.forEach((swatch, i) => {
+		swatch.scale.setScalar(i === colorIndex ? 1.6 : 1);
+	});
+}
+
+export function updateBlasterScore(blaster, score) {
+	const { scoreText, multiplierText } = blaster;
+	const displayScore = Math.max(0, score.points).toString().padStart(2, '0'); // At least 2 digits
+	// Shrink the text for 4+ digit scores so it stays inside the timer ring
+	scoreText.fontSize = Math.min(0.05, 0.14 / (displayScore.length * 0.6));
+	scoreText.text = displayScore;
+	scoreText.sync();
+
+	multiplierText.visible = scoreText.visible && score.multiplier > 1;
+	multiplierText.text = `x${score.multiplier}`;
+	multiplierText.sync();
+}
+
+// Show the remaining time as a fraction (0-1) of the round
+export function updateBlasterTimer(blaster, progress) {
+	const { uniforms } = blaster.timerRing.material;
+	
+	// Update the shader's progress uniform
+	uniforms.progress.value = progress;
+	uniforms.segments.value = 0;
+	
+	// Change color based on remaining time, blinking white while flashing
+	if (performance.now() < blaster.timerFlashUntil) {
+		uniforms.color.value.set(Math.floor(performance.now() / 100) % 2 ? 0xFFFFFF : 0x4CAF50);
+	} else if (progress < 0.25) {
+		// Red when < 25% time left
+		uniforms.color.value.set(0xFF5252);
+	} else if (progress < 0.5) {
+		// Orange when < 50% time left
+		uniforms.color.value.set(0xFFC107);
+	} else {
+		uniforms.color.value.set(0x4CAF50); // Green color
+	}
+}
+
+// Show the lives left as segments of the ring, one for each the round started with
+export function updateBlasterLives(blaster, lives, maxLives) {
+	const { uniforms } = blaster.timerRing.material;
+	uniforms.progress.value = lives / maxLives;
+	uniforms.segments.value = maxLives;
+	uniforms.color.value.set(lives > 1 ? 0xFF4081 : 0xFF5252); // Pink, red on the last life
+}
+
+// Show the ring and the score or not, for game modes without a clock or lives, or a score
+export function showBlasterHud(blaster, { ring = true, score = true } = {}) {
+	blaster.timerRing.visible = ring;
+	blaster.scoreText.visible = score;
+	blaster.multiplierText.visible = score && blaster.multiplierText.visible;
+}
+
+// Blink the timer ring for a moment, e.g. when time was added
+export function flashBlasterTimer(blaster, duration = 600) {
+	blaster.timerFlashUntil = performance.now() + duration;
+}
+
+// Show the power-up effects in play, e.g. 'WILD 4  SLOW 2', or nothing with ''
+export function updateBlasterPowerUps(blaster, text) {
+	const { powerUpText } = blaster;
+	if (powerUpText.text === text) return;
+	powerUpText.text = text;
+	powerUpText.sync();
+}
@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+
+// Fixed set of bullet meshes that draw the game's bullets (see game.js), one
+// mesh per bullet slot, so rapid fire doesn't create garbage. A mesh is shown
+// while its bullet is in flight.
+
+export function createBulletPool(size) {
+	const group = new THREE.Group();
+	group.name = 'bullets';
+	return { group, size, bullets: [] };
+}
+
+// Fill the pool with copies of the bullet mesh from the blaster model
+export function fillBulletPool(pool, prototype) {
+	for (let i = 0; i < pool.size; i++) {
+		const bullet = new THREE.Mesh(prototype.geometry, prototype.material);
+		bullet.visible = false;
+		pool.bullets.push(bullet);
+		pool.group.add(bullet);
+	}
+}
+
+// Copy the game's bullets into their meshes
+export function syncBulletPool(pool, bullets) {
+	pool.bullets.forEach((mesh, i) => {
+		const bullet = bullets[i];
+		mesh.visible = bullet.active;
+		if (bullet.active) mesh.position.copy(bullet.position);
+	});
+}
@@ -0,0 +1,28 @@
+// Continuous collision between moving bullets and spheres. A bullet sweeps the
+// segment from its previous position to its new one each frame, so fast bullets
+// or long frames can't tunnel through a target. Points only need x/y/z fields.
+
+// Fraction (0-1) along the segment where it first touches the sphere, or null if it misses.
+// A segment that starts inside the sphere hits at 0.
+export function segmentSphereIntersection(start, end, center, radius) {
+	const dx = end.x - start.x;
+	const dy = end.y - start.y;
+	const dz = end.z - start.z;
+	const fx = start.x - center.x;
+	const fy = start.y - center.y;
+	const fz = start.z - center.z;
+
+	const c = fx * fx + fy * fy + fz * fz - radius * radius;
+	if (c <= 0) return 0;
+
+	const a = dx * dx + dy * dy + dz * dz;
+	if (a === 0) return null;
+
+	const b = 2 * (fx * dx + fy * dy + fz * dz);
+	const discriminant = b * b - 4 * a * c;
+	if (discriminant < 0) return null;
+
+	const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+	return t >= 0 && t <= 1 ? t : null;
+}
+
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+// Radial color wheel around the blaster's barrel, for the 'wheel' colorChange
+// setting. Pushing the thumbstick out opens it with the colors the player may
+// fire round the dial, the first at the top and the rest clockwise, so any
+// number of colors share the circle. The segment the stick points at stands
+// out, and letting the stick go selects it.
+
+const INNER_RADIUS = 0.05;
+const OUTER_RADIUS = 0.09;
+const SEGMENT_GAP = 0.06; // Radians left empty between segments
+const OPEN_DISTANCE = 0.5; // Stick distance from the center that opens the wheel
+const CLOSE_DISTANCE = 0.3; // ...and that closes it again, so it doesn't flicker at the edge
+const POINTED_SCALE = 1.2;
+const POINTED_OPACITY = 1;
+const OPACITY = 0.55;
+
+export function createColorWheel(colors) {
+	const group = new THREE.Group();
+	group.name = 'colorWheel';
+	group.position.set(0, 0.04, -0.05); // Just ahead of the grip
+	group.visible = false;
+
+	const segments = colors.map((color) => {
+		const segment = new THREE.Mesh(
+			new THREE.BufferGeometry(),
+			new THREE.MeshBasicMaterial({
+				color,
+				side: THREE.DoubleSide,
+				transparent: true,
+				opacity: OPACITY,
+				toneMapped: false,
+			}),
+		);
+		segment.renderOrder = 1;
+		segment.visible = false;
+		group.add(segment);
+		return segment;
+	});
+	return { group, segments, slots: [], pointed: null };
+}
+
+// Angle (radians, counterclockwise from +x) at the middle of the i-th of `count` segments
+function segmentAngle(i, count) {
+	return Math.PI / 2 - (i * Math.PI * 2) / count;
+}
+
+// Lay the wheel out for these color slots, e.g. the colors of an online round
+function layOutColorWheel(wheel, slots) {
+	if (slots.join() === wheel.slots.join()) return;
+	wheel.slots = [...slots];
+	const size = (Math.PI * 2) / slots.length;
+	wheel.segments.forEach((segment, slot) => {
+		const i = slots.indexOf(slot);
+		segment.visible = i >= 0;
+		if (!segment.visible) return;
+		segment.geometry.dispose();
+		segment.geometry = new THREE.RingGeometry(
+			INNER_RADIUS,
+			OUTER_RADIUS,
+			Math.max(4, Math.ceil(32 / slots.length)),
+			1,
+			segmentAngle(i, slots.length) - (size - SEGMENT_GAP) / 2,
+			size - SEGMENT_GAP,
+		);
+	});
+}
+
+// Color slot the stick at (`x`, `y`) points at out of `slots`, or null while it
+// is near the center. Stick y is negative when pushed forward, the top of the wheel.
+export function colorWheelSlot(slots, x, y, open = false) {
+	if (Math.hypot(x, y) < (open ? CLOSE_DISTANCE : OPEN_DISTANCE)) return null;
+	const size = (Math.PI * 2) / slots.length;
+	const angle = Math.atan2(-y, x);
+	const i = Math.round((Math.PI / 2 - angle) / size);
+	return slots[((i % slots.length) + slots.length) % slots.length];
+}
+
+// Open the wheel on `slots` with `pointed` standing out, or close it (pointed null)
+export function showColorWheel(wheel, slots, pointed) {
+	wheel.group.visible = pointed !== null;
+	wheel.pointed = pointed;
+	if (pointed === null) return;
+	layOutColorWheel(wheel, slots);
+	wheel.segments.forEach((segment, slot) => {
+		segment.scale.setScalar(slot === pointed ? POINTED_SCALE : 1);
+		segment.material.opacity = slot === pointed ? POINTED_OPACITY : OPACITY;
+	});
+}
+
+// Switch the segments to new colors, with a symbol pattern per color slot or plain (patterns null)
+export function setColorWheelPalette(wheel, colors, patterns) {
+	wheel.segments.forEach((segment, slot) => {
+		segment.material.color.setHex(colors[slot]);
+		segment.material.map = patterns ? patterns[slot] : null;
+		segment.material.needsUpdate = true;
+	});
+}
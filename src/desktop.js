@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { AXES, XR_BUTTONS } from 'gamepad-wrapper';
+
+// Flat-screen play without an XR device. The blaster hangs below the camera and
+// the mouse looks around with pointer lock. Input is exposed through the same
+// methods the game uses on GamepadWrapper, like tracked hands (see hands.js):
+// - A click is the trigger, the first one only takes the pointer
+// - The mouse wheel steps through the colors like the thumbstick, number keys pick one
+// - Arrow keys are the thumbstick (for initials), Enter is the trigger
+// - P is the pause button, and losing the pointer (Esc) pauses too
+// The title card starts and stops it with startDesktop() and stopDesktop().
+
+const LOOK_SPEED = 0.002; // Radians per pixel of mouse movement
+const MAX_PITCH = Math.PI / 2 - 0.05;
+const EYE_HEIGHT = 1.6; // Meters, where a standing player's head would be
+const BLASTER_OFFSET = new THREE.Vector3(0.1, -0.1, -0.3); // From the camera
+const AIM_DISTANCE = 4; // Shots cross the crosshair this far ahead, between the restart sphere and the targets
+const PAUSE_BUTTON = XR_BUTTONS.BUTTON_2; // The controllers' pause button
+
+const listeners = new Set();
+
+const desktop = {
+	active: false,
+	locked: false, // The page has the pointer, the mouse looks around
+	controller: null,
+};
+
+let camera = null;
+let element = null;
+let yaw = 0;
+let pitch = 0;
+
+function notify() {
+	listeners.forEach((listener) => listener(desktop.active));
+}
+
+function lockPointer() {
+	// Newer browsers return a promise, refused e.g. just after Esc. The next click tries again.
+	Promise.resolve(element.requestPointerLock()).catch(() => {
+		// do nothing, the pointer stays free until then
+	});
+}
+
+function createDesktopGamepad() {
+	let clicks = 0;
+	let steps = 0;
+	let pickedKey = null;
+	let pausePressed = false;
+	let released = false;
+	const keyAxes = { x: 0, y: 0 };
+
+	let triggerClicked = false;
+	let pauseClicked = false;
+	let axisX = 0;
+	let axisY = 0;
+
+	element.addEventListener('mousedown', (event) => {
+		if (!desktop.active || event.button !== 0) return;
+		if (desktop.locked) {
+			clicks += 1;
+		} else {
+			lockPointer();
+		}
+	});
+	element.addEventListener('mousemove', (event) => {
+		if (!desktop.locked) return;
+		yaw -= event.movementX * LOOK_SPEED;
+		pitch = THREE.MathUtils.clamp(pitch - event.movementY * LOOK_SPEED, -MAX_PITCH, MAX_PITCH);
+		camera.rotation.set(pitch, yaw, 0);
+	});
+	element.addEventListener(
+		'wheel',
+		(event) => {
+			if (!desktop.active) return;
+			event.preventDefault();
+			steps += Math.sign(event.deltaY);
+		},
+		{ passive: false },
+	);
+	document.addEventListener('pointerlockchange', () => {
+		const locked = document.pointerLockElement === element;
+		if (desktop.active && desktop.locked && !locked) released = true;
+		desktop.locked = locked;
+	});
+	window.addEventListener('keydown', (event) => {
+		if (!desktop.active || event.repeat) return;
+		if (/^Digit[1-9]$/.test(event.code)) {
+			pickedKey = Number(event.code.slice(5)) - 1;
+		} else if (event.code === 'KeyP') {
+			pausePressed = true;
+		} else if (event.code === 'Enter') {
+			clicks += 1;
+		} else if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+			keyAxes.x = event.code === 'ArrowRight' ? 1 : -1;
+		} else if (event.code === 'ArrowUp' || event.code === 'ArrowDown') {
+			keyAxes.y = event.code === 'ArrowDown' ? 1 : -1; // Stick up is negative
+		}
+	});
+	window.addEventListener('keyup', (event) => {
+		if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') keyAxes.x = 0;
+		if (event.code === 'ArrowUp' || event.code === 'ArrowDown') keyAxes.y = 0;
+	});
+
+	const gamepad = {
+		isDesktop: true,
+		handedness: 'right',
+		userData: {},
+		menuOpen: false,
+		pickedColor: null, // Color slot picked with a number key this frame
+		pointerReleased: false, // The pointer was lost this frame
+
+		// Take the input since the last frame. A wheel step holds the stick over
+		// for one frame and lets go for the next, so each step counts once.
+		update() {
+			triggerClicked = clicks > 0;
+			clicks = 0;
+			pauseClicked = pausePressed;
+			pausePressed = false;
+			gamepad.pickedColor = pickedKey;
+			pickedKey = null;
+			gamepad.pointerReleased = released;
+			released = false;
+			if (axisX === 0 && steps !== 0) {
+				axisX = Math.sign(steps);
+				steps -= axisX;
+			} else {
+				axisX = 0;
+			}
+			if (keyAxes.x !== 0) axisX = keyAxes.x;
+			axisY = keyAxes.y;
+		},
+
+		getButtonClick(buttonId) {
+			if (buttonId === XR_BUTTONS.TRIGGER) return triggerClicked;
+			return buttonId === PAUSE_BUTTON && pauseClicked;
+		},
+
+		getAxis(axisId) {
+			if (axisId === AXES.XR_STANDARD.THUMBSTICK_X) return axisX;
+			return axisId === AXES.XR_STANDARD.THUMBSTICK_Y ? axisY : 0;
+		},
+
+		getHapticActuator() {
+			throw new Error('The mouse has no haptic actuator');
+		},
+	};
+	return gamepad;
+}
+
+// Set up the desktop controller for `camera`, looking with the mouse over `domElement`
+export function initDesktop(sceneCamera, domElement) {
+	camera = sceneCamera;
+	element = domElement;
+
+	// The blaster sits at the bottom right, turned in so its shots cross the crosshair
+	const raySpace = new THREE.Group();
+	raySpace.position.copy(BLASTER_OFFSET);
+	raySpace.quaternion.setFromUnitVectors(
+		new THREE.Vector3(0, 0, -1),
+		new THREE.Vector3(0, 0, -AIM_DISTANCE).sub(BLASTER_OFFSET).normalize(),
+	);
+	raySpace.visible = false;
+	// Menus are pointed at from the middle of the screen
+	const pointerSpace = new THREE.Group();
+	camera.add(raySpace, pointerSpace);
+
+	desktop.controller = {
+		raySpace,
+		pointerSpace,
+		gripSpace: raySpace,
+		mesh: new THREE.Group(), // No controller model to hide
+		gamepad: createDesktopGamepad(),
+	};
+}
+
+export function getDesktopController() {
+	return desktop.controller;
+}
+
+export function isDesktopActive() {
+	return desktop.active;
+}
+
+export function isPointerLocked() {
+	return desktop.locked;
+}
+
+// Start playing on the screen, from a click so the pointer can be locked
+export function startDesktop() {
+	if (desktop.active) return;
+	desktop.active = true;
+	yaw = 0;
+	pitch = 0;
+	camera.position.set(0, EYE_HEIGHT, 0);
+	camera.rotation.order = 'YXZ'; // Turn, then look up and down
+	camera.rotation.set(0, 0, 0);
+	desktop.controller.raySpace.visible = true;
+	lockPointer();
+	notify();
+}
+
+export function stopDesktop() {
+	if (!desktop.active) return;
+	desktop.active = false;
+	desktop.controller.raySpace.visible = false;
+	camera.rotation.order = 'XYZ';
+	if (document.pointerLockElement === element) document.exitPointerLock();
+	notify();
+}
+
+// Register a callback for desktop play starting (true) and stopping (false),
+// returns a function that removes it
+export function onDesktopChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
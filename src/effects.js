@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+
+// Hit, miss and wrong-color feedback: particle bursts and sparks, floating score
+// popups, bullet trails and the wrong-color buzz. Every effect draws from a
+// fixed pool made up front (one instanced mesh for the particles, one for the
+// trails, a handful of texts and sounds), so firing and popping all round long
+// doesn't create garbage. Particles and trails blend additively and fade by
+// darkening towards black, which instanced meshes can do per instance.
+
+const MAX_PARTICLES = 384; // The oldest particle is reused when they are all alive
+const GRAVITY = 3; // Meters per second squared, a little floaty
+const DRAG = 2.5; // Fraction of the speed lost per second
+
+const BURST_PARTICLES = 24;
+const BURST_SPEED = 2.5;
+const BURST_LIFE = 0.7; // Seconds
+const BURST_SIZE = 0.03;
+
+const SPARK_PARTICLES = 10;
+const SPARK_SPEED = 3;
+const SPARK_SPREAD = 0.6; // How far sparks stray from the mirrored bullet direction
+const SPARK_LIFE = 0.25;
+const SPARK_SIZE = 0.012;
+
+const FIZZLE_PARTICLES = 6;
+const FIZZLE_LIFE = 0.35;
+const FIZZLE_SIZE = 0.015;
+
+const POPUP_COUNT = 12;
+const POPUP_LIFE = 0.8;
+const POPUP_RISE = 0.4; // Meters a popup floats up over its life
+const POPUP_SIZE = 0.12;
+
+const TRAIL_LENGTH = 0.6; // Meters behind the bullet
+const TRAIL_WIDTH = 0.012;
+const TRAIL_FADE = 0.15; // Seconds a trail lingers after its bullet is gone
+
+const BUZZ_VOICES = 4; // Wrong-color hits that can buzz at the same time
+const BUZZ_DURATION = 0.25;
+const BUZZ_FREQUENCY = 110; // Hz, a low square wave
+
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+const matrix = new THREE.Matrix4();
+const quaternion = new THREE.Quaternion();
+const scale = new THREE.Vector3();
+const direction = new THREE.Vector3();
+const fadedColor = new THREE.Color();
+const white = new THREE.Color(0xFFFFFF);
+const zAxis = new THREE.Vector3(0, 0, 1);
+
+function createEffectMaterial() {
+	return new THREE.MeshBasicMaterial({
+		blending: THREE.AdditiveBlending,
+		depthWrite: false,
+		toneMapped: false,
+	});
+}
+
+function createInstancedMesh(geometry, count, name) {
+	const mesh = new THREE.InstancedMesh(geometry, createEffectMaterial(), count);
+	mesh.name = name;
+	mesh.frustumCulled = false; // Instances are spread all over the arena
+	for (let i = 0; i < count; i++) {
+		mesh.setMatrixAt(i, hiddenMatrix);
+		mesh.setColorAt(i, white);
+	}
+	return mesh;
+}
+
+function createPopupText() {
+	const text = new Text();
+	text.font = 'assets/SpaceMono-Bold.ttf';
+	text.fontSize = POPUP_SIZE;
+	text.anchorX = 'center';
+	text.anchorY = 'middle';
+	text.outlineWidth = '6%';
+	text.outlineColor = 0x000000;
+	text.visible = false;
+	return text;
+}
+
+export function createEffects(trailCount) {
+	const group = new THREE.Group();
+	group.name = 'effects';
+
+	const particleMesh = createInstancedMesh(new THREE.OctahedronGeometry(1), MAX_PARTICLES, 'particles');
+	// Trails stretch a unit box from the bullet (z = 0) back along its path (z = 1)
+	const trailGeometry = new THREE.BoxGeometry(1, 1, 1).translate(0, 0, 0.5);
+	const trailMesh = createInstancedMesh(trailGeometry, trailCount, 'trails');
+	group.add(particleMesh, trailMesh);
+
+	const popups = Array.from({ length: POPUP_COUNT }, () => {
+		const text = createPopupText();
+		group.add(text);
+		return { text, life: 0, origin: new THREE.Vector3() };
+	});
+
+	return {
+		group,
+		particleMesh,
+		particles: Array.from({ length: MAX_PARTICLES }, () => ({
+			position: new THREE.Vector3(),
+			velocity: new THREE.Vector3(),
+			color: new THREE.Color(),
+			size: 0,
+			life: 0,
+			maxLife: 1,
+		})),
+		nextParticle: 0,
+		liveParticles: 0,
+		trailMesh,
+		trails: Array.from({ length: trailCount }, () => ({
+			active: false,
+			head: new THREE.Vector3(),
+			tail: new THREE.Vector3(),
+			color: new THREE.Color(),
+			fade: 0, // Seconds left once the bullet is gone
+		})),
+		popups,
+		nextPopup: 0,
+		buzzSounds: [],
+		nextBuzz: 0,
+	};
+}
+
+// Synthesize the buzz rather than shipping another sound file
+export function addEffectSounds(effects, listener) {
+	const { context } = listener;
+	const buffer = context.createBuffer(1, Math.floor(context.sampleRate * BUZZ_DURATION), context.sampleRate);
+	const samples = buffer.getChannelData(0);
+	for (let i = 0; i < samples.length; i++) {
+		const t = i / context.sampleRate;
+		const envelope = (1 - i / samples.length) ** 2;
+		samples[i] = Math.sign(Math.sin(2 * Math.PI * BUZZ_FREQUENCY * t)) * 0.3 * envelope;
+	}
+	effects.buzzSounds = Array.from({ length: BUZZ_VOICES }, () => {
+		const sound = new THREE.PositionalAudio(listener);
+		sound.setBuffer(buffer);
+		effects.group.add(sound);
+		return sound;
+	});
+}
+
+// Volume (0-1) of the effects' sounds
+export function setEffectsVolume(effects, volume) {
+	effects.buzzSounds.forEach((sound) => sound.setVolume(volume));
+}
+
+function emitParticle(effects, position, velocity, color, size, life) {
+	const particle = effects.particles[effects.nextParticle];
+	effects.nextParticle = (effects.nextParticle + 1) % MAX_PARTICLES;
+	if (particle.life <= 0) effects.liveParticles += 1;
+	particle.position.copy(position);
+	particle.velocity.copy(velocity);
+	particle.color.copy(color);
+	particle.size = size;
+	particle.life = life;
+	particle.maxLife = life;
+}
+
+function randomDirection(target) {
+	// Uniform on the sphere
+	const z = Math.random() * 2 - 1;
+	const angle = Math.random() * Math.PI * 2;
+	const r = Math.sqrt(1 - z * z);
+	return target.set(Math.cos(angle) * r, Math.sin(angle) * r, z);
+}
+
+// Colored particles flying out of a popped target
+export function emitBurst(effects, position, color, radius) {
+	fadedColor.setHex(color);
+	for (let i = 0; i < BURST_PARTICLES; i++) {
+		randomDirection(direction);
+		scale.copy(position).addScaledVector(direction, radius * 0.5);
+		direction.multiplyScalar(BURST_SPEED * (0.5 + Math.random() * 0.5));
+		emitParticle(effects, scale, direction, fadedColor, BURST_SIZE * (0.6 + Math.random() * 0.8), BURST_LIFE);
+	}
+}
+
+// Bright sparks glancing off a target the bullet doesn't match. The sparks
+// leave along the bullet's direction mirrored in the surface `normal`.
+export function emitDeflect(effects, position, normal, velocity, color) {
+	fadedColor.setHex(color).lerp(white, 0.6);
+	for (let i = 0; i < SPARK_PARTICLES; i++) {
+		direction.copy(velocity).normalize().reflect(normal);
+		direction.addScaledVector(randomDirection(scale), SPARK_SPREAD).normalize();
+		direction.multiplyScalar(SPARK_SPEED * (0.6 + Math.random() * 0.4));
+		emitParticle(effects, position, direction, fadedColor, SPARK_SIZE, SPARK_LIFE);
+	}
+	playBuzz(effects, position);
+}
+
+// A dim puff where a bullet runs out without hitting anything
+export function emitFizzle(effects, position, color) {
+	fadedColor.setHex(color).multiplyScalar(0.5);
+	for (let i = 0; i < FIZZLE_PARTICLES; i++) {
+		randomDirection(direction).multiplyScalar(0.3);
+		emitParticle(effects, position, direction, fadedColor, FIZZLE_SIZE, FIZZLE_LIFE);
+	}
+}
+
+function playBuzz(effects, position) {
+	if (effects.buzzSounds.length === 0) return;
+	const sound = effects.buzzSounds[effects.nextBuzz];
+	effects.nextBuzz = (effects.nextBuzz + 1) % effects.buzzSounds.length;
+	sound.position.copy(position);
+	if (sound.isPlaying) sound.stop();
+	sound.play();
+}
+
+// Floating "+N" at the hit point
+export function showScorePopup(effects, position, points, color) {
+	const popup = effects.popups[effects.nextPopup];
+	effects.nextPopup = (effects.nextPopup + 1) % POPUP_COUNT;
+	popup.origin.copy(position);
+	popup.life = POPUP_LIFE;
+	popup.text.text = `+${points}`;
+	popup.text.color = color;
+	popup.text.visible = true;
+	popup.text.sync();
+}
+
+// A trail follows the bullet in the same pool slot from where it was fired
+export function startTrail(effects, index, position, color) {
+	const trail = effects.trails[index];
+	trail.active = true;
+	trail.head.copy(position);
+	trail.tail.copy(position);
+	trail.color.setHex(color);
+	trail.fade = TRAIL_FADE;
+}
+
+export function updateEffects(effects, delta, camera, bullets) {
+	updateParticles(effects, delta);
+	updateTrails(effects, delta, bullets);
+	updatePopups(effects, delta, camera);
+}
+
+function updateParticles(effects, delta) {
+	if (effects.liveParticles === 0) return;
+	const { particleMesh, particles } = effects;
+	const damping = Math.max(0, 1 - DRAG * delta);
+	for (let i = 0; i < particles.length; i++) {
+		const particle = particles[i];
+		if (particle.life <= 0) continue;
+		particle.life -= delta;
+		if (particle.life <= 0) {
+			effects.liveParticles -= 1;
+			particleMesh.setMatrixAt(i, hiddenMatrix);
+			continue;
+		}
+		particle.velocity.multiplyScalar(damping);
+		particle.velocity.y -= GRAVITY * delta;
+		particle.position.addScaledVector(particle.velocity, delta);
+
+		const remaining = particle.life / particle.maxLife;
+		scale.setScalar(particle.size * (0.3 + 0.7 * remaining));
+		matrix.compose(particle.position, quaternion.identity(), scale);
+		particleMesh.setMatrixAt(i, matrix);
+		particleMesh.setColorAt(i, fadedColor.copy(particle.color).multiplyScalar(remaining));
+	}
+	particleMesh.instanceMatrix.needsUpdate = true;
+	particleMesh.instanceColor.needsUpdate = true;
+}
+
+function updateTrails(effects, delta, bullets) {
+	const { trailMesh, trails } = effects;
+	let changed = false;
+	for (let i = 0; i < trails.length; i++) {
+		const trail = trails[i];
+		if (!trail.active) continue;
+		changed = true;
+		const bullet = bullets[i];
+		let brightness = 1;
+		if (bullet?.visible) {
+			trail.head.copy(bullet.position);
+		} else {
+			// The bullet is gone, the tail catches up with where it was last seen
+			trail.fade -= delta;
+			brightness = Math.max(0, trail.fade / TRAIL_FADE);
+			trail.tail.lerp(trail.head, 1 - brightness);
+		}
+
+		direction.subVectors(trail.tail, trail.head);
+		const length = Math.min(direction.length(), TRAIL_LENGTH);
+		if (brightness <= 0 || length === 0) {
+			trail.active = brightness > 0;
+			trailMesh.setMatrixAt(i, hiddenMatrix);
+			continue;
+		}
+		direction.divideScalar(direction.length());
+		trail.tail.copy(trail.head).addScaledVector(direction, length);
+
+		quaternion.setFromUnitVectors(zAxis, direction);
+		scale.set(TRAIL_WIDTH, TRAIL_WIDTH, length);
+		matrix.compose(trail.head, quaternion, scale);
+		trailMesh.setMatrixAt(i, matrix);
+		trailMesh.setColorAt(i, fadedColor.copy(trail.color).multiplyScalar(brightness * 0.8));
+	}
+	if (changed) {
+		trailMesh.instanceMatrix.needsUpdate = true;
+		trailMesh.instanceColor.needsUpdate = true;
+	}
+}
+
+function updatePopups(effects, delta, camera) {
+	effects.popups.forEach((popup) => {
+		if (popup.life <= 0) return;
+		popup.life -= delta;
+		if (popup.life <= 0) {
+			popup.text.visible = false;
+			return;
+		}
+		const progress = 1 - popup.life / POPUP_LIFE;
+		popup.text.position.copy(popup.origin);
+		popup.text.position.y += POPUP_RISE * progress;
+		camera.getWorldQuaternion(popup.text.quaternion);
+		popup.text.fillOpacity = 1 - progress * progress;
+		popup.text.outlineOpacity = popup.text.fillOpacity;
+	});
+}
+
+// Drop everything in flight, for a fresh round
+export function clearEffects(effects) {
+	effects.particles.forEach((particle, i) => {
+		particle.life = 0;
+		effects.particleMesh.setMatrixAt(i, hiddenMatrix);
+	});
+	effects.liveParticles = 0;
+	effects.particleMesh.instanceMatrix.needsUpdate = true;
+	effects.trails.forEach((trail, i) => {
+		trail.active = false;
+		effects.trailMesh.setMatrixAt(i, hiddenMatrix);
+	});
+	effects.trailMesh.instanceMatrix.needsUpdate = true;
+	effects.popups.forEach((popup) => {
+		popup.life = 0;
+		popup.text.visible = false;
+	});
+}
@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// The space station arena for immersive-vr, where there is no passthrough to
+// play in. It brings its own lights and is hidden during AR sessions.
+
+const STATION_URL = 'assets/spacestation.glb';
+// The model is a small room, scaled up so its walls enclose the target ring
+const STATION_SCALE = 3;
+export const SPACE_BACKGROUND = 0x02030a;
+
+export function createEnvironment() {
+	const group = new THREE.Group();
+	group.name = 'environment';
+	group.visible = false;
+
+	const hemisphereLight = new THREE.HemisphereLight(0xc8d8ff, 0x1a1a2a, 1.5);
+	const sunLight = new THREE.DirectionalLight(0xffffff, 2);
+	sunLight.position.set(3, 10, -5);
+	group.add(hemisphereLight, sunLight);
+
+	return { group, loading: null };
+}
+
+// Load the station once, later calls return the same promise
+export function loadEnvironment(environment) {
+	if (!environment.loading) {
+		environment.loading = new GLTFLoader()
+			.loadAsync(STATION_URL)
+			.then((gltf) => {
+				const station = gltf.scene;
+				station.name = 'spacestation';
+				station.scale.setScalar(STATION_SCALE);
+				environment.group.add(station);
+				return station;
+			});
+	}
+	return environment.loading;
+}
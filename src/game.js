@@ -0,0 +1,683 @@
+import * as THREE from 'three';
+import {
+	CLOCK_SECONDS,
+	FREEZE_FACTOR,
+	MULTISHOT_BULLETS,
+	MULTISHOT_SPREAD,
+	clearPowerUpTimers,
+	createPowerUpTimers,
+	isPowerUpActive,
+	startPowerUp,
+	updatePowerUpTimers,
+} from './powerUps.js';
+import {
+	anchorPosition,
+	applyDrift,
+	clampToWalls,
+	randomSurfacePosition,
+	releaseAnchor,
+	removeDrift,
+} from './room.js';
+import { breakStreak, createScore, scoreHit } from './scoring.js';
+import { createMotion, pickMotionPattern, updateMotion } from './motion.js';
+import { createRandom, randomSeed } from './random.js';
+import { getMode } from './modes.js';
+import { segmentSphereIntersection } from './collision.js';
+
+// The game itself: round state machine, targets, bullets, collisions and
+// scoring, with no scene, sounds or input. Only three's math classes are used,
+// so it runs the same in the browser and in Node (see scripts/simulate.js).
+// Every random choice comes from generators seeded per round, so the same seed
+// and the same shots replay the same round. Where targets spawn is drawn from
+// its own generator, so a replay can put targets where a recording says they
+// were (an AR room may have placed them) and still agree on everything else.
+//
+// The renderer draws game.targets and game.bullets, and reacts to the events
+// each step queues in game.events:
+// - { type: 'hit', target, bullet, points, point }: a matching bullet popped a target
+// - { type: 'deflect', target, bullet, point, normal }: a bullet glanced off a target
+//   of another color (target is null for the restart sphere)
+// - { type: 'expire', bullet, point, missed }: a bullet ran out, `missed` if it broke the streak
+// - { type: 'restart', bullet }: the restart sphere was shot with its color
+// - { type: 'spawn', target }: a target was placed (arena built, respawned or relocated)
+// - { type: 'escape', target }: a target was left unpopped too long and cost a life
+// - { type: 'powerUp', powerUp, target }: a power-up target was popped, its effect started
+// - { type: 'powerUpEnd', powerUp }: an effect ran out, or the round ended while it lasted
+// - { type: 'end', newRecord, reason }: the round is over, `reason` is 'time',
+//   'lives' (none left) or 'wrongColor' (Sudden Death)
+//
+// How a round ends depends on its mode (see modes.js). `elapsed` counts the
+// seconds played in any mode, `timer` the time left in a timed one. Power-ups
+// (see powerUps.js) only count down while the round is played.
+//
+// A remote round is run by a multiplayer server (see scripts/relay.js), which
+// sends the targets and hits. Here its timer still counts down, but targets only
+// play their pop and spawn animations and bullets fly through them.
+
+export const GAME_STATE = {
+	READY: 'ready',
+	PLAYING: 'playing',
+	PAUSED: 'paused', // Timer, targets and bullets frozen
+	NEW_RECORD: 'new_record', // Round over, entering initials for the high-score table
+	GAME_OVER: 'game_over',
+};
+
+export const BULLET_RADIUS = 0.02; // Matches the bullet mesh of the blaster model
+const BULLET_POOL_SIZE = 128; // The oldest bullet is recycled when they are all in flight
+
+// Shooting it with its color after a round starts the next one
+export const RESTART_SPHERE = {
+	position: new THREE.Vector3(0, 0.8, -2),
+	radius: 0.3,
+	colorIndex: 3, // Yellow in the default palette
+};
+
+const POP_DURATION = 0.3; // Seconds a hit target takes to burst
+const SPAWN_DURATION = 0.3; // Seconds a respawned target takes to grow back
+
+const previousPosition = new THREE.Vector3();
+const upAxis = new THREE.Vector3(0, 1, 0);
+const spreadDirection = new THREE.Vector3();
+
+function createBullet(index) {
+	return {
+		index,
+		active: false, // In flight
+		position: new THREE.Vector3(),
+		velocity: new THREE.Vector3(),
+		timeToLive: 0,
+		colorIndex: 0,
+		hand: null,
+		owner: null, // Who fired it in a multiplayer round, set by the server
+		wrongColorHit: false,
+		wildcard: false, // Fired during a rainbow power-up, matches every color
+		extra: false, // A multishot's side bullet, it can only help (see fireShot())
+	};
+}
+
+// Shots of the round and how they ended, in total and per color fired.
+// `hitTime` adds up how long each target hit had been up. A remote round only
+// counts what the relay tells the player about their own shots (see index.js).
+function createStats(colorCount) {
+	return {
+		shots: 0,
+		hits: 0,
+		wrongColorHits: 0,
+		misses: 0,
+		hitTime: 0,
+		colors: Array.from({ length: colorCount }, () => ({ shots: 0, hits: 0, wrongColorHits: 0 })),
+	};
+}
+
+// `isNewRecord(game)` decides whether a finished round asks for initials, `room`
+// (see room.js) places targets on the surfaces of an AR session. Without
+// `powerUps` no target turns into one, whatever the level says.
+export function createGame({
+	level,
+	mode = getMode('timed'),
+	colorCount = 4,
+	room = null,
+	isNewRecord = () => false,
+	powerUps = true,
+}) {
+	return {
+		level,
+		mode,
+		seed: null, // Seed of the current round, picked in prepareRound()
+		random: null, // Colors, motions
+		placementRandom: null, // Spawn positions
+		powerUpRandom: null, // Which targets become power-ups
+		powerUpsEnabled: powerUps,
+		powerUps: createPowerUpTimers(), // Effects in play
+		placeTarget: null, // Replays put targets at their recorded spawn positions
+		remote: false, // Targets and hits come from a multiplayer server
+		colorCount,
+		room,
+		isNewRecord,
+		modelRadius: 1, // Bounding radius of the target model at size 1
+		state: GAME_STATE.READY,
+		timer: level.duration,
+		elapsed: 0,
+		lives: mode.lives,
+		score: createScore(),
+		stats: createStats(colorCount),
+		targets: [],
+		bullets: Array.from({ length: BULLET_POOL_SIZE }, (_, i) => createBullet(i)),
+		nextBullet: 0,
+		events: [],
+	};
+}
+
+// Hand the queued events to `handler` in order and clear them. Events queued by
+// the handler (e.g. the spawns of a round it restarts) wait for the next flush.
+export function flushEvents(game, handler) {
+	game.events.splice(0).forEach(handler);
+}
+
+function randomColorIndex(game) {
+	return Math.floor(game.random() * game.colorCount);
+}
+
+function targetClearance(game) {
+	return game.modelRadius * game.level.targets.size;
+}
+
+// Random position on a ring around the player, pulled in where a wall is closer
+function randomRingPosition(game, position, angle, radius, radiusJitter) {
+	const { placementRandom: random, room } = game;
+	let horizontalRadius = radius + (random() * radiusJitter - radiusJitter / 2);
+	if (room) {
+		horizontalRadius = clampToWalls(room, angle, horizontalRadius, targetClearance(game));
+	}
+	const { height, heightRange } = game.level.spawn;
+	position.set(
+		Math.sin(angle) * horizontalRadius,
+		random() * heightRange - heightRange / 2 + height, // Height variety around player eye level
+		Math.cos(angle) * horizontalRadius,
+	);
+}
+
+// Place a target in front of a surface of the room, or on the ring when no surfaces are known
+function spawnTarget(game, target, angle, radius, radiusJitter) {
+	const { room } = game;
+	if (room && target.anchor) releaseAnchor(room, target.anchor);
+	// A replay puts the target where the recording says it was
+	if (!game.placeTarget?.(target)) {
+		const clearance = targetClearance(game);
+		const onSurface = room && randomSurfacePosition(room, target.position, clearance, game.placementRandom);
+		if (!onSurface) randomRingPosition(game, target.position, angle, radius, radiusJitter);
+	}
+	if (room) target.anchor = anchorPosition(room, target.position);
+	game.events.push({ type: 'spawn', target });
+}
+
+// Give the target a new motion pattern starting from its current position
+function assignTargetMotion(game, target) {
+	const { patterns, speed } = game.level.motion;
+	target.motion = createMotion(pickMotionPattern(patterns, game.random), target.position, {
+		random: game.random,
+		speed,
+		center: { x: 0, y: game.level.spawn.height, z: 0 },
+	});
+}
+
+// Replace the targets with a fresh arena that surrounds the player in 360 degrees
+function buildArena(game) {
+	game.targets.forEach((target) => {
+		if (target.anchor) releaseAnchor(game.room, target.anchor);
+	});
+	const count = game.level.targets.count;
+	game.targets = Array.from({ length: count }, (_, index) => {
+		const target = {
+			index,
+			position: new THREE.Vector3(),
+			colorIndex: randomColorIndex(game),
+			motion: null,
+			anchor: null,
+			visible: true,
+			popping: false, // Hit and bursting, can't be hit again
+			popTime: 0, // Seconds since it was hit
+			age: SPAWN_DURATION, // Seconds since it spawned, the first arena starts fully grown
+			// Seconds it may stay up in a mode with lives, the first arena's are staggered
+			// so they don't all get away at once
+			lifetime: game.mode.targetLifetime * (1 + index / count),
+			powerUp: null, // Id of the power-up it is, the first arena has none
+		};
+		// Some randomness in the angle for a more natural distribution
+		const angle = (index / count) * Math.PI * 2 + game.placementRandom() * 0.5;
+		spawnTarget(game, target, angle, game.level.spawn.radius, game.level.spawn.radiusJitter);
+		assignTargetMotion(game, target);
+		return target;
+	});
+}
+
+// Set up a round of `level` (the current one by default) without starting the
+// timer, in `mode` (the current one by default). `placeTarget(target)` may set a
+// target's spawn position and return true, instead of the round picking one. A
+// `remote` round is run by a server.
+export function prepareRound(
+	game,
+	level = game.level,
+	{ seed = randomSeed(), placeTarget = null, remote = false, mode = game.mode } = {},
+) {
+	game.level = level;
+	game.mode = mode;
+	game.seed = seed;
+	game.random = createRandom(seed);
+	game.placementRandom = createRandom(seed ^ 0x5BD1E995); // A different stream from the same seed
+	game.powerUpRandom = createRandom(seed ^ 0x27D4EB2F); // And another, levels without power-ups play as before
+	game.placeTarget = placeTarget;
+	game.remote = remote;
+	buildArena(game);
+	game.score = createScore();
+	game.stats = createStats(game.colorCount);
+	game.powerUps = createPowerUpTimers();
+	game.timer = level.duration;
+	game.elapsed = 0;
+	game.lives = mode.lives;
+	game.state = GAME_STATE.READY;
+}
+
+export function startRound(game) {
+	game.state = GAME_STATE.PLAYING;
+}
+
+// Returns true if the round was running and is now paused
+export function pauseRound(game) {
+	if (game.state !== GAME_STATE.PLAYING) return false;
+	game.state = GAME_STATE.PAUSED;
+	return true;
+}
+
+export function resumeRound(game) {
+	if (game.state !== GAME_STATE.PAUSED) return false;
+	game.state = GAME_STATE.PLAYING;
+	return true;
+}
+
+// Play the rest of the round as `level`, the same level at another round length
+// (see withRoundLength() in levels.js). The time left moves by the difference,
+// so a round that has run longer than its new length ends once it goes on.
+export function setRoundLength(game, level) {
+	game.timer = Math.max(0, game.timer + level.duration - game.level.duration);
+	game.level = level;
+}
+
+// Put an unfinished round aside (it has been saved), ready for a new one
+export function stopRound(game) {
+	game.state = GAME_STATE.READY;
+}
+
+function endRound(game, reason) {
+	const newRecord = game.isNewRecord(game);
+	game.state = newRecord ? GAME_STATE.NEW_RECORD : GAME_STATE.GAME_OVER;
+	game.targets.forEach((target) => {
+		target.visible = false;
+	});
+	clearPowerUpTimers(game.powerUps).forEach((powerUp) => game.events.push({ type: 'powerUpEnd', powerUp }));
+	game.events.push({ type: 'end', newRecord, reason });
+}
+
+// The new record's initials are in, the restart sphere can be shot
+export function finishInitials(game) {
+	if (game.state === GAME_STATE.NEW_RECORD) game.state = GAME_STATE.GAME_OVER;
+}
+
+// Move the targets in play onto the room's surfaces once they are detected
+export function relocateTargets(game) {
+	const { targets, level } = game;
+	targets.forEach((target, i) => {
+		if (!target.visible || target.popping) return;
+		const angle = (i / targets.length) * Math.PI * 2;
+		spawnTarget(game, target, angle, level.spawn.radius, level.spawn.radiusJitter);
+		assignTargetMotion(game, target);
+	});
+}
+
+export function countShot(game, colorIndex) {
+	game.stats.shots += 1;
+	game.stats.colors[colorIndex].shots += 1;
+}
+
+// A hit on `target`, which has been up since it finished growing (or the round started)
+export function countHit(game, colorIndex, target) {
+	game.stats.hits += 1;
+	game.stats.colors[colorIndex].hits += 1;
+	game.stats.hitTime += Math.max(target.age - SPAWN_DURATION, 0);
+}
+
+export function countWrongColorHit(game, colorIndex) {
+	game.stats.wrongColorHits += 1;
+	game.stats.colors[colorIndex].wrongColorHits += 1;
+}
+
+function ratio(part, whole) {
+	return whole > 0 ? part / whole : 0;
+}
+
+// The round's stats as a plain object, for the results panel and anything else
+// that wants them: totals, accuracy, average seconds to hit a target, best
+// streak and a breakdown per color slot
+export function getRoundStats(game) {
+	const { stats, score, level, mode } = game;
+	return {
+		level: level.id,
+		roundLength: level.roundLength,
+		mode: mode.id,
+		points: score.points,
+		bestStreak: score.bestStreak,
+		shots: stats.shots,
+		hits: stats.hits,
+		wrongColorHits: stats.wrongColorHits,
+		misses: stats.misses,
+		accuracy: ratio(stats.hits, stats.shots),
+		averageHitTime: ratio(stats.hitTime, stats.hits),
+		duration: game.elapsed,
+		colors: stats.colors.map(({ shots, hits, wrongColorHits }) => ({
+			shots,
+			hits,
+			wrongColorHits,
+			accuracy: ratio(hits, shots),
+		})),
+	};
+}
+
+// Fire a bullet of `colorIndex` from `origin` along the unit vector `direction`.
+// Takes a free bullet, or recycles the oldest one when they are all in flight.
+// `owner` tells the players of a multiplayer round apart.
+export function fireBullet(game, origin, direction, colorIndex, hand, owner = null) {
+	return launchBullet(game, origin, direction, colorIndex, hand, owner, false);
+}
+
+// The player's shot: a bullet, or a spread of them while multishot lasts,
+// returns the bullets. The extra bullets count as shots and can pop targets,
+// but their misses and wrong-color hits don't break the streak.
+export function fireShot(game, origin, direction, colorIndex, hand) {
+	const bullets = [fireBullet(game, origin, direction, colorIndex, hand)];
+	if (!isPowerUpActive(game.powerUps, 'multishot')) return bullets;
+	for (let i = 0; i < MULTISHOT_BULLETS; i++) {
+		const angle = (i - (MULTISHOT_BULLETS - 1) / 2) * MULTISHOT_SPREAD;
+		if (angle === 0) continue; // The middle one is the shot itself
+		spreadDirection.copy(direction).applyAxisAngle(upAxis, angle);
+		bullets.push(launchBullet(game, origin, spreadDirection, colorIndex, hand, null, true));
+	}
+	return bullets;
+}
+
+function launchBullet(game, origin, direction, colorIndex, hand, owner, extra) {
+	const { bullets } = game;
+	let bullet = bullets[game.nextBullet];
+	for (let i = 0; i < bullets.length; i++) {
+		const candidate = bullets[(game.nextBullet + i) % bullets.length];
+		if (!candidate.active) {
+			bullet = candidate;
+			break;
+		}
+	}
+	game.nextBullet = (bullet.index + 1) % bullets.length;
+	// Not the shots at the restart sphere, nor the other players' in a remote round
+	if (game.state === GAME_STATE.PLAYING && !game.remote) countShot(game, colorIndex);
+
+	bullet.active = true;
+	bullet.position.copy(origin);
+	bullet.velocity.copy(direction).multiplyScalar(game.level.bullet.speed);
+	bullet.timeToLive = game.level.bullet.timeToLive;
+	bullet.colorIndex = colorIndex;
+	bullet.hand = hand;
+	bullet.owner = owner;
+	bullet.wrongColorHit = false;
+	bullet.wildcard = game.state === GAME_STATE.PLAYING && isPowerUpActive(game.powerUps, 'rainbow');
+	bullet.extra = extra;
+	return bullet;
+}
+
+// Current size of a target, shrinking while it pops and growing back after a respawn
+export function targetScale(target) {
+	if (target.popping) {
+		const progress = Math.min(target.popTime / POP_DURATION, 1);
+		return 1 - progress ** 3;
+	}
+	const progress = Math.min(target.age / SPAWN_DURATION, 1);
+	return 1 - (1 - progress) ** 2;
+}
+
+// How far a popping target's parts have flown apart, 0-1
+export function targetBurst(target) {
+	if (!target.popping) return 0;
+	const progress = Math.min(target.popTime / POP_DURATION, 1);
+	return 1 - (1 - progress) ** 3;
+}
+
+function respawnTarget(game, target) {
+	target.visible = true;
+	target.popping = false;
+	target.age = 0;
+	target.lifetime = game.mode.targetLifetime;
+	target.powerUp = rollPowerUp(game);
+	// Respawn in a new position around the player in 360 degrees
+	const { radius, radiusJitter, randomColor } = game.level.respawn;
+	spawnTarget(game, target, game.placementRandom() * Math.PI * 2, radius, radiusJitter);
+	assignTargetMotion(game, target);
+	if (randomColor) {
+		target.colorIndex = randomColorIndex(game);
+	}
+}
+
+// Whether a respawning target comes back as a power-up, and which one
+function rollPowerUp(game) {
+	if (!game.powerUpsEnabled || game.remote) return null;
+	const { chance, types } = game.level.powerUps;
+	if (game.powerUpRandom() >= chance) return null;
+	// More time means nothing without a clock
+	const choices = types.filter((type) => type !== 'clock' || game.mode.timer);
+	if (choices.length === 0) return null;
+	return choices[Math.floor(game.powerUpRandom() * choices.length)];
+}
+
+// Start the effect of a power-up target that was just popped
+function activatePowerUp(game, target) {
+	const { powerUp } = target;
+	if (powerUp === 'clock') {
+		game.timer = Math.min(game.timer + CLOCK_SECONDS, game.level.duration);
+	} else {
+		startPowerUp(game.powerUps, powerUp);
+	}
+	game.events.push({ type: 'powerUp', powerUp, target });
+}
+
+// A target that got away in a mode with lives: it costs one and the streak,
+// and comes back elsewhere like a popped one
+function escapeTarget(game, target) {
+	game.lives = Math.max(0, game.lives - 1);
+	breakStreak(game.score);
+	game.events.push({ type: 'escape', target });
+	respawnTarget(game, target);
+}
+
+// Move the targets along their motion patterns (following their anchors), and
+// bring popped targets back after the respawn delay. Everything takes longer while frozen.
+function updateTargets(game, delta) {
+	const respawnTime = POP_DURATION + game.level.respawn.delay / 1000;
+	const { lives } = game.mode;
+	const step = isPowerUpActive(game.powerUps, 'freeze') ? delta * FREEZE_FACTOR : delta;
+	game.targets.forEach((target) => {
+		if (target.popping) {
+			target.popTime += step;
+			if (target.popTime >= POP_DURATION) target.visible = false;
+			if (target.popTime >= respawnTime && !game.remote) respawnTarget(game, target);
+		} else {
+			target.age += step;
+			// Targets count as up once they have grown
+			if (lives > 0 && !game.remote && target.age >= SPAWN_DURATION + target.lifetime) {
+				escapeTarget(game, target);
+			}
+		}
+		if (!target.visible || !target.motion || game.remote) return;
+		if (target.anchor) removeDrift(target.anchor, target.position);
+		updateMotion(target.motion, target.position, step);
+		if (target.anchor) applyDrift(target.anchor, target.position);
+	});
+}
+
+function hitPoint(bullet, t) {
+	return new THREE.Vector3().lerpVectors(previousPosition, bullet.position, t);
+}
+
+function deflect(game, bullet, target, center, t) {
+	const point = hitPoint(bullet, t);
+	const normal = new THREE.Vector3().subVectors(point, center).normalize();
+	game.events.push({ type: 'deflect', target, bullet, point, normal });
+}
+
+function updateBullet(game, bullet, delta) {
+	const { state, score } = game;
+	if (bullet.timeToLive < 0) {
+		bullet.active = false;
+		// A bullet that expires without popping a target is a missed shot
+		const missed = state === GAME_STATE.PLAYING && !game.remote && !bullet.extra;
+		if (missed) {
+			breakStreak(score);
+			game.stats.misses += 1;
+		}
+		game.events.push({ type: 'expire', bullet, point: bullet.position.clone(), missed });
+		return;
+	}
+	previousPosition.copy(bullet.position);
+	bullet.position.addScaledVector(bullet.velocity, delta);
+	bullet.timeToLive -= delta;
+
+	if (state === GAME_STATE.GAME_OVER) {
+		const t = segmentSphereIntersection(
+			previousPosition,
+			bullet.position,
+			RESTART_SPHERE.position,
+			RESTART_SPHERE.radius + BULLET_RADIUS,
+		);
+		if (t === null) return;
+		if (bullet.colorIndex === RESTART_SPHERE.colorIndex) {
+			bullet.active = false;
+			game.events.push({ type: 'restart', bullet });
+		} else if (!bullet.wrongColorHit) {
+			// Other colors pass through
+			bullet.wrongColorHit = true;
+			deflect(game, bullet, null, RESTART_SPHERE.position, t);
+		}
+		return;
+	}
+
+	if (state !== GAME_STATE.PLAYING || game.remote) return;
+
+	// Nearest target of the bullet's color along this frame's path
+	let hitTarget = null;
+	let hitT = Infinity;
+	let wrongColorTarget = null;
+	let wrongColorT = Infinity;
+	const radius = targetClearance(game);
+	for (const target of game.targets) {
+		if (!target.visible || target.popping) continue;
+		const t = segmentSphereIntersection(
+			previousPosition,
+			bullet.position,
+			target.position,
+			radius * targetScale(target) + BULLET_RADIUS,
+		);
+		if (t === null) continue;
+		// Rainbow targets and wildcard bullets match every color
+		if (bullet.colorIndex === target.colorIndex || bullet.wildcard || target.powerUp === 'rainbow') {
+			if (t < hitT) {
+				hitT = t;
+				hitTarget = target;
+			}
+		} else if (t < wrongColorT) {
+			wrongColorT = t;
+			wrongColorTarget = target;
+		}
+	}
+
+	// Wrong colors in front of the match are passed through, but the streak is over
+	if (wrongColorTarget && wrongColorT <= hitT && !bullet.wrongColorHit) {
+		bullet.wrongColorHit = true;
+		if (!bullet.extra) {
+			breakStreak(score);
+			countWrongColorHit(game, bullet.colorIndex);
+		}
+		deflect(game, bullet, wrongColorTarget, wrongColorTarget.position, wrongColorT);
+		if (game.mode.suddenDeath && !bullet.extra) {
+			endRound(game, 'wrongColor');
+			return;
+		}
+	}
+
+	if (hitTarget) {
+		bullet.active = false;
+		hitTarget.popping = true;
+		hitTarget.popTime = 0;
+		const points = scoreHit(score); // Points grow with the combo multiplier
+		countHit(game, bullet.colorIndex, hitTarget);
+		game.events.push({ type: 'hit', target: hitTarget, bullet, points, point: hitPoint(bullet, hitT) });
+		if (hitTarget.powerUp) activatePowerUp(game, hitTarget);
+	}
+}
+
+// Advance the game by `delta` seconds. Nothing moves while paused.
+export function stepGame(game, delta) {
+	if (game.state === GAME_STATE.PAUSED) return;
+
+	if (game.state === GAME_STATE.PLAYING) {
+		game.elapsed += delta;
+		updatePowerUpTimers(game.powerUps, delta).forEach((powerUp) => {
+			game.events.push({ type: 'powerUpEnd', powerUp });
+		});
+		if (game.mode.timer) game.timer = Math.max(0, game.timer - delta);
+		if (game.mode.timer && game.timer <= 0) {
+			endRound(game, 'time');
+		} else {
+			// Move targets before the bullets so hits are checked against this step's positions
+			updateTargets(game, delta);
+			if (game.mode.lives > 0 && game.lives === 0) endRound(game, 'lives');
+		}
+	}
+
+	// Plain loop over the pool, nothing is allocated per bullet in flight
+	for (const bullet of game.bullets) {
+		if (bullet.active) updateBullet(game, bullet, delta);
+	}
+}
+
+// Everything needed to rebuild the round in progress
+export function snapshotRound(game) {
+	return {
+		level: game.level.id,
+		roundLength: game.level.roundLength,
+		mode: game.mode.id,
+		timer: game.timer,
+		elapsed: game.elapsed,
+		lives: game.lives,
+		powerUps: { ...game.powerUps },
+		score: { ...game.score },
+		stats: { ...game.stats, colors: game.stats.colors.map((color) => ({ ...color })) },
+		// Targets in the middle of popping come back at a new spot, as they would have anyway
+		targets: game.targets.map((target) => ({
+			position: target.position.toArray(),
+			colorIndex: target.colorIndex,
+			powerUp: target.powerUp,
+			inPlay: target.visible && !target.popping,
+		})),
+	};
+}
+
+// Rebuild a saved round of `level` in its mode, in play. Returns false if the
+// save doesn't fit the level (e.g. a custom level that was replaced since, or
+// the level at another round length).
+export function restoreRound(game, saved, level) {
+	if (
+		level.id !== saved.level ||
+		level.roundLength !== (saved.roundLength ?? null) ||
+		saved.targets?.length !== level.targets.count
+	) {
+		return false;
+	}
+	// Rounds saved by older versions were timed, and didn't count the time played
+	prepareRound(game, level, { mode: getMode(saved.mode) });
+	game.timer = saved.timer;
+	game.elapsed = saved.elapsed ?? level.duration - saved.timer;
+	game.lives = saved.lives ?? game.mode.lives;
+	Object.assign(game.powerUps, saved.powerUps);
+	Object.assign(game.score, saved.score);
+	Object.assign(game.stats, saved.stats); // Missing from rounds saved by older versions
+	saved.targets.forEach(({ position, colorIndex, powerUp = null, inPlay }, i) => {
+		const target = game.targets[i];
+		if (inPlay) {
+			target.powerUp = powerUp;
+			if (target.anchor) releaseAnchor(game.room, target.anchor);
+			target.position.fromArray(position);
+			if (game.room) target.anchor = anchorPosition(game.room, target.position);
+			assignTargetMotion(game, target);
+		}
+		if (colorIndex >= 0 && colorIndex < game.colorCount) {
+			target.colorIndex = colorIndex;
+		}
+	});
+	game.state = GAME_STATE.PLAYING;
+	return true;
+}
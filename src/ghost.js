@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { frameAtRoundTime, readPose } from './recording.js';
+import { Text } from 'troika-three-text';
+
+// Translucent player from a recording (see recording.js): a blaster per hand
+// tinted with its selected color, a head and the recorded score. Plays against
+// the live round as the ghost of the best run, and draws the player of a
+// replay. The head is left out in the headset, where it would sit on the
+// player's own.
+
+const GHOST_OPACITY = 0.35;
+
+export function createGhost(colors, { showHead = true } = {}) {
+	const group = new THREE.Group();
+	group.name = 'ghost';
+	group.visible = false;
+
+	const hands = {};
+	['left', 'right'].forEach((hand) => {
+		const material = new THREE.MeshBasicMaterial({
+			color: colors[0],
+			transparent: true,
+			opacity: GHOST_OPACITY,
+			depthWrite: false,
+		});
+		const object = new THREE.Group();
+		object.visible = false;
+		group.add(object);
+		hands[hand] = { object, material, colorIndex: 0 };
+	});
+
+	const head = new THREE.Mesh(
+		new THREE.SphereGeometry(0.1, 16, 12),
+		new THREE.MeshBasicMaterial({
+			color: 0xFFFFFF,
+			transparent: true,
+			opacity: GHOST_OPACITY,
+			depthWrite: false,
+		}),
+	);
+	head.visible = false;
+	group.add(head);
+
+	const scoreText = new Text();
+	scoreText.font = 'assets/SpaceMono-Bold.ttf';
+	scoreText.fontSize = 0.06;
+	scoreText.color = 0xFFFFFF;
+	scoreText.fillOpacity = 0.6;
+	scoreText.anchorX = 'center';
+	scoreText.anchorY = 'bottom';
+	group.add(scoreText);
+
+	return {
+		group,
+		hands,
+		head,
+		scoreText,
+		showHead,
+		colors,
+		recording: null,
+		frame: -1, // Last frame shown
+		nextEvent: 0,
+		score: 0,
+	};
+}
+
+// Give each hand a translucent copy of the blaster model
+export function attachGhostModel(ghost, model) {
+	Object.values(ghost.hands).forEach(({ object, material }) => {
+		const copy = model.clone();
+		copy.traverse((child) => {
+			if (child.isMesh) child.material = material;
+		});
+		object.add(copy);
+	});
+}
+
+function setGhostScore(ghost, score) {
+	ghost.score = score;
+	ghost.scoreText.text = `Ghost ${score}`;
+	ghost.scoreText.sync();
+}
+
+function setGhostColor(ghost, hand, colorIndex) {
+	const ghostHand = ghost.hands[hand];
+	if (!ghostHand) return;
+	ghostHand.colorIndex = colorIndex;
+	ghostHand.material.color.setHex(ghost.colors[colorIndex] ?? ghost.colors[0]);
+}
+
+// Play `recording` from its start, or hide the ghost (recording null)
+export function setGhostRecording(ghost, recording) {
+	ghost.recording = recording;
+	ghost.frame = -1;
+	ghost.nextEvent = 0;
+	ghost.group.visible = recording !== null;
+	Object.keys(ghost.hands).forEach((hand) => setGhostColor(ghost, hand, 0));
+	setGhostScore(ghost, 0);
+}
+
+// Show the recording as it was at `frame`, going through its color and hit events on the way
+export function showGhostFrame(ghost, frame) {
+	const { recording, hands, head, scoreText } = ghost;
+	if (!recording) return;
+	frame = Math.min(frame, recording.steps.length - 1);
+	if (frame < ghost.frame) setGhostRecording(ghost, recording); // Went back, replay the events
+	ghost.frame = frame;
+
+	const { events } = recording;
+	for (; ghost.nextEvent < events.length && events[ghost.nextEvent][0] <= frame; ghost.nextEvent++) {
+		const [, type, ...values] = events[ghost.nextEvent];
+		if (type === 'color') {
+			setGhostColor(ghost, values[0], values[1]);
+		} else if (type === 'hit') {
+			setGhostScore(ghost, ghost.score + values[1]);
+		}
+	}
+
+	Object.entries(hands).forEach(([hand, { object }]) => {
+		object.visible = readPose(recording, frame, hand, object);
+	});
+	head.visible = readPose(recording, frame, 'head', head) && ghost.showHead;
+
+	// Score floats above the head, or above a blaster when the head is left out
+	const anchor = head.visible ? head : Object.values(hands).find(({ object }) => object.visible)?.object;
+	scoreText.visible = anchor !== undefined;
+	if (anchor) {
+		scoreText.position.copy(anchor.position).y += head.visible ? 0.25 : 0.15;
+		scoreText.quaternion.copy(head.quaternion);
+	}
+}
+
+// Follow the live round, `roundTime` seconds in
+export function updateGhost(ghost, roundTime) {
+	if (!ghost.recording) return;
+	showGhostFrame(ghost, frameAtRoundTime(ghost.recording, roundTime));
+}
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { AXES, XR_BUTTONS } from 'gamepad-wrapper';
+
+// Bare-hand input for tracked hands. Gestures are read from the hand joints and
+// exposed through the same methods the game uses on GamepadWrapper, so a hand
+// can hold a blaster like a controller:
+// - Pinch (index tip to thumb tip) or finger-gun (thumb dropped onto the index
+//   knuckle) is the trigger, firing along the index finger
+// - A quick roll of the wrist is a thumbstick flick left or right
+// - With the palm facing up, a pinch opens the color menu and steps forward
+//   instead of firing
+// - With the palm facing up, touching the thumb to the middle finger's tip is
+//   the controllers' pause button
+
+const PINCH_START = 0.02; // Meters between thumb and index tips to start a pinch
+const PINCH_END = 0.035; // ...and to release it again
+const HAMMER_START = 0.025; // Meters between thumb tip and index knuckle for the finger-gun shot
+const HAMMER_END = 0.04;
+const FLICK_SPEED = 8; // Wrist roll speed (radians per second) that counts as a flick
+const FLICK_COOLDOWN = 0.4; // Seconds before another flick is recognised
+const PALM_UP = 0.7; // How straight up the palm has to face to open the color menu
+const PAUSE_BUTTON = XR_BUTTONS.BUTTON_2; // The controllers' pause button
+
+const JOINTS = [
+	'wrist',
+	'thumb-tip',
+	'index-finger-metacarpal',
+	'index-finger-phalanx-proximal',
+	'index-finger-tip',
+	'middle-finger-tip',
+	'pinky-finger-metacarpal',
+];
+
+const up = new THREE.Vector3(0, 1, 0);
+
+export function createHandGamepad(handSpace, handedness) {
+	// Follows the index finger, the blaster attaches here instead of the target ray space
+	const aimSpace = new THREE.Group();
+	handSpace.add(aimSpace);
+
+	const forward = new THREE.Vector3();
+	const palmNormal = new THREE.Vector3();
+	const previousPalmNormal = new THREE.Vector3();
+	const basis = { x: new THREE.Vector3(), y: new THREE.Vector3(), z: new THREE.Vector3() };
+	const rotation = new THREE.Matrix4();
+	const toIndex = new THREE.Vector3();
+	const toPinky = new THREE.Vector3();
+	const cross = new THREE.Vector3();
+
+	let lastUpdate = performance.now();
+	let tracked = false;
+	let pinching = false;
+	let hammering = false;
+	let triggerPressed = false;
+	let triggerClicked = false;
+	let middlePinching = false;
+	let pauseClicked = false;
+	let axisX = 0;
+	let flickCooldown = 0;
+
+	const gamepad = {
+		isHand: true,
+		handedness,
+		userData: {},
+		aimSpace,
+		menuOpen: false, // Palm is up, pinches step through the colors
+
+		update() {
+			const now = performance.now();
+			const delta = Math.max((now - lastUpdate) / 1000, 1e-3);
+			lastUpdate = now;
+			triggerClicked = false;
+			pauseClicked = false;
+			axisX = 0;
+			flickCooldown = Math.max(0, flickCooldown - delta);
+
+			const joints = JOINTS.map((name) => handSpace.joints[name]);
+			if (joints.some((joint) => !joint || !joint.visible)) {
+				tracked = false;
+				pinching = hammering = triggerPressed = middlePinching = false;
+				gamepad.menuOpen = false;
+				return;
+			}
+			const [wrist, thumbTip, indexMetacarpal, indexKnuckle, indexTip, middleTip, pinkyMetacarpal] =
+				joints.map((joint) => joint.position);
+
+			// Index finger direction from the metacarpal to the knuckle stays steady while pinching
+			forward.subVectors(indexKnuckle, indexMetacarpal).normalize();
+
+			// Normal pointing out of the palm, mirrored for the left hand
+			toIndex.subVectors(indexMetacarpal, wrist);
+			toPinky.subVectors(pinkyMetacarpal, wrist);
+			palmNormal.crossVectors(toIndex, toPinky).normalize();
+			if (handedness === 'left') palmNormal.negate();
+
+			// Aim along the index finger with the back of the hand up
+			basis.z.copy(forward).negate();
+			basis.y.copy(palmNormal).negate();
+			basis.y.addScaledVector(basis.z, -basis.y.dot(basis.z)).normalize();
+			basis.x.crossVectors(basis.y, basis.z);
+			rotation.makeBasis(basis.x, basis.y, basis.z);
+			aimSpace.position.copy(indexKnuckle);
+			aimSpace.quaternion.setFromRotationMatrix(rotation);
+
+			// Wrist flick: fast roll of the palm around the index finger direction
+			if (tracked && flickCooldown === 0) {
+				cross.crossVectors(previousPalmNormal, palmNormal);
+				const roll = Math.atan2(cross.dot(forward), previousPalmNormal.dot(palmNormal));
+				if (Math.abs(roll / delta) > FLICK_SPEED) {
+					axisX = Math.sign(roll);
+					flickCooldown = FLICK_COOLDOWN;
+				}
+			}
+			previousPalmNormal.copy(palmNormal);
+			tracked = true;
+
+			gamepad.menuOpen = palmNormal.dot(up) > PALM_UP;
+
+			const pinchDistance = thumbTip.distanceTo(indexTip);
+			pinching = pinchDistance < (pinching ? PINCH_END : PINCH_START);
+			const hammerDistance = thumbTip.distanceTo(indexKnuckle);
+			hammering = hammerDistance < (hammering ? HAMMER_END : HAMMER_START);
+
+			const pressed = pinching || hammering;
+			if (pressed && !triggerPressed) {
+				if (gamepad.menuOpen) {
+					axisX = 1; // Palm-up pinch steps to the next color
+				} else {
+					triggerClicked = true;
+				}
+			}
+			triggerPressed = pressed;
+
+			// Palm-up middle finger pinch pauses, palm down it could be a curled finger
+			const middleDistance = thumbTip.distanceTo(middleTip);
+			const middlePressed = gamepad.menuOpen && middleDistance < (middlePinching ? PINCH_END : PINCH_START);
+			pauseClicked = middlePressed && !middlePinching;
+			middlePinching = middlePressed;
+		},
+
+		getButtonClick(buttonId) {
+			if (buttonId === PAUSE_BUTTON) return pauseClicked;
+			return buttonId === XR_BUTTONS.TRIGGER && triggerClicked;
+		},
+
+		getAxis(axisId) {
+			return axisId === AXES.XR_STANDARD.THUMBSTICK_X ? axisX : 0;
+		},
+
+		getHapticActuator() {
+			throw new Error('Tracked hands have no haptic actuator');
+		},
+	};
+
+	return gamepad;
+}
@@ -0,0 +1,75 @@
+// Local high-score table, persisted in localStorage between visits
+const STORAGE_KEY = 'dreampop.highscores';
+export const MAX_HIGH_SCORES = 10; // Entries kept per level, mode and round length
+
+const listeners = new Set();
+
+function loadHighScores() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return Array.isArray(stored) ? stored : [];
+	} catch {
+		// Storage unavailable (private browsing) or corrupted - start empty
+		return [];
+	}
+}
+
+const highScores = loadHighScores();
+
+function byRank(a, b) {
+	// Higher score first, the earlier run wins a tie
+	return b.score - a.score || a.date.localeCompare(b.date);
+}
+
+// Top scores for one level and mode, best first. `roundLength` is the level's
+// (see withRoundLength() in levels.js), null for its own length.
+export function getHighScores(level, mode, roundLength = null) {
+	return highScores
+		.filter((entry) => entry.level === level && entry.mode === mode && (entry.roundLength ?? null) === roundLength)
+		.sort(byRank)
+		.slice(0, MAX_HIGH_SCORES);
+}
+
+// Whether a score would make it onto the table for this level, mode and round length
+export function isHighScore(score, level, mode, roundLength = null) {
+	if (score <= 0) return false;
+	const table = getHighScores(level, mode, roundLength);
+	return (
+		table.length < MAX_HIGH_SCORES || score > table[table.length - 1].score
+	);
+}
+
+// Save a new entry and return it, keeping only the top entries per level, mode and round length
+export function addHighScore({ initials, score, bestStreak, level, mode, roundLength = null }) {
+	const entry = {
+		initials,
+		score,
+		bestStreak,
+		level,
+		mode,
+		roundLength,
+		date: new Date().toISOString(),
+	};
+	highScores.push(entry);
+
+	const kept = new Set(
+		highScores.flatMap((other) => getHighScores(other.level, other.mode, other.roundLength ?? null)),
+	);
+	const trimmed = highScores.filter((other) => kept.has(other));
+	highScores.length = 0;
+	highScores.push(...trimmed);
+
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(highScores));
+	} catch {
+		// do nothing if storage is not available, the entry still shows for this visit
+	}
+	listeners.forEach((listener) => listener(entry));
+	return entry;
+}
+
+// Register a callback for new entries, returns a function that removes it
+export function onHighScoresChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
@@ -0,0 +1,105 @@
+// Page overlay for play on a flat screen or a phone, where the blaster's rings
+// are hard to read or not shown: time (or lives) left, power-ups in play and
+// score along the top, a crosshair in the middle when aiming with the mouse and
+// the controls along the bottom. The selected color keeps its own indicator
+// (see index.html).
+
+const TEXT_STYLE = {
+	position: 'fixed',
+	color: 'white',
+	fontFamily: 'monospace',
+	textShadow: '0 0 4px black',
+	pointerEvents: 'none',
+	zIndex: '900',
+};
+
+function createHudText(style) {
+	const text = document.createElement('div');
+	Object.assign(text.style, TEXT_STYLE, style);
+	return text;
+}
+
+export function createHud() {
+	const element = document.createElement('div');
+	element.style.display = 'none';
+
+	const timer = createHudText({ top: '16px', left: '24px', fontSize: '28px' });
+	const score = createHudText({ top: '16px', right: '24px', fontSize: '28px', textAlign: 'right' });
+	const powerUps = createHudText({
+		top: '20px',
+		left: '50%',
+		transform: 'translateX(-50%)',
+		fontSize: '20px',
+		color: '#7FDBFF',
+	});
+	const status = createHudText({
+		top: '30%',
+		left: '50%',
+		transform: 'translateX(-50%)',
+		fontSize: '22px',
+		textAlign: 'center',
+	});
+	const hints = createHudText({
+		bottom: '16px',
+		left: '50%',
+		transform: 'translateX(-50%)',
+		fontSize: '14px',
+		color: '#ccc',
+		whiteSpace: 'nowrap',
+	});
+
+	const crosshair = createHudText({
+		top: '50%',
+		left: '50%',
+		width: '14px',
+		height: '14px',
+		marginLeft: '-9px',
+		marginTop: '-9px',
+		border: '2px solid white',
+		borderRadius: '50%',
+		boxShadow: '0 0 3px black',
+	});
+
+	element.append(timer, score, powerUps, status, hints, crosshair);
+	document.body.appendChild(element);
+	return { element, timer, score, powerUps, status, hints, crosshair, shown: {} };
+}
+
+// Show or hide the overlay, with a line of control `hints` and the `crosshair` or not
+export function showHud(hud, visible, { hints = '', crosshair = false } = {}) {
+	hud.element.style.display = visible ? 'block' : 'none';
+	hud.hints.textContent = hints;
+	hud.crosshair.style.display = crosshair ? 'block' : 'none';
+}
+
+function setText(hud, key, text) {
+	if (hud.shown[key] === text) return; // Only touch the page when something changed
+	hud.shown[key] = text;
+	hud[key].textContent = text;
+}
+
+function formatTime(seconds) {
+	const whole = Math.ceil(seconds);
+	return `${Math.floor(whole / 60)}:${`${whole % 60}`.padStart(2, '0')}`;
+}
+
+function formatLives({ left, max }) {
+	return '♥'.repeat(left) + '♡'.repeat(max - left);
+}
+
+// Refresh from the round: `timer` in seconds or `lives` ({ left, max }) in the
+// corner, whichever the game mode has, the game's `score` (null when the mode
+// keeps none), the `powerUps` in play as a line of text and a `status` line for
+// the middle of the screen (empty while playing)
+export function updateHud(hud, { timer = null, lives = null, score = null, powerUps = '', status = '' }) {
+	let corner = '';
+	if (lives) {
+		corner = formatLives(lives);
+	} else if (timer !== null) {
+		corner = formatTime(timer);
+	}
+	setText(hud, 'timer', corner);
+	setText(hud, 'score', score ? `${score.points}${score.multiplier > 1 ? ` x${score.multiplier}` : ''}` : '');
+	setText(hud, 'powerUps', powerUps);
+	setText(hud, 'status', status);
+}
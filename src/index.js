@@ -7,189 +7,275 @@
 
 import * as THREE from 'three';
 import { AXES, XR_BUTTONS } from 'gamepad-wrapper';
+import {
+	GAME_STATE,
+	RESTART_SPHERE,
+	countHit,
+	countShot,
+	countWrongColorHit,
+	createGame,
+	finishInitials,
+	fireShot,
+	flushEvents,
+	getRoundStats,
+	pauseRound,
+	prepareRound,
+	relocateTargets,
+	restoreRound,
+	resumeRound,
+	setRoundLength,
+	snapshotRound,
+	startRound,
+	stepGame,
+	stopRound,
+	targetBurst,
+	targetScale,
+} from './game.js';
+import { POSE_RATE, writePose } from './netProtocol.js';
+import {
+	addBlasterSounds,
+	attachBlasterModel,
+	createBlaster,
+	flashBlasterTimer,
+	playBlasterSound,
+	setBlasterColor,
+	setBlasterHudPosition,
+	setBlasterPalette,
+	setBlasterVolume,
+	showBlasterHud,
+	updateBlasterColorMenu,
+	updateBlasterLives,
+	updateBlasterPowerUps,
+	updateBlasterScore,
+	updateBlasterTimer,
+} from './blaster.js';
+import {
+	addEffectSounds,
+	clearEffects,
+	createEffects,
+	emitBurst,
+	emitDeflect,
+	emitFizzle,
+	setEffectsVolume,
+	showScorePopup,
+	startTrail,
+	updateEffects,
+} from './effects.js';
+import { addHighScore, getHighScores, isHighScore } from './highscores.js';
+import {
+	applyTargets,
+	clearTargets,
+	flushMessages,
+	getConnection,
+	isOnline,
+	send,
+	smoothTargets,
+} from './multiplayer.js';
+import {
+	attachAvatarModel,
+	createAvatar,
+	disposeAvatar,
+	placeAvatar,
+	setAvatarColor,
+	setAvatarPose,
+	setAvatarScore,
+	updateAvatar,
+} from './avatars.js';
+import {
+	attachGhostModel,
+	createGhost,
+	setGhostRecording,
+	showGhostFrame,
+	updateGhost,
+} from './ghost.js';
+import { clearSavedGame, loadSavedGame, saveGame } from './savedGame.js';
+import { colorWheelSlot, showColorWheel } from './colorWheel.js';
+import { createBulletPool, fillBulletPool, syncBulletPool } from './bulletPool.js';
+import { createHud, showHud, updateHud } from './hud.js';
+import { createPauseMenu, hideMenu, showMenu, updateMenu } from './pauseMenu.js';
+import {
+	createRecording,
+	endReplay,
+	finishRecording,
+	getBestRun,
+	onRecordingEvent,
+	recordEvent,
+	recordFrame,
+} from './recording.js';
+import { createRoom, startRoom, stopRoom, updateRoom } from './room.js';
+import {
+	createSettingsPanel,
+	isSettingsPanelOpen,
+	onSettingsPanelChange,
+	selectSettingsButton,
+	setSettingsPanelOpen,
+} from './settingsPanel.js';
+import {
+	createSphereModel,
+	createTargetInstances,
+	createTargetModel,
+	disposeTargetInstances,
+	setInstanceColor,
+	setInstanceRing,
+	setTargetSymbols,
+	syncTargetInstances,
+} from './targetInstances.js';
+import { defineLevel, getLevel, getPlayedLevel, getSelectedLevel, withRoundLength } from './levels.js';
+import { getDesktopController, isDesktopActive, isPointerLocked, onDesktopChange, stopDesktop } from './desktop.js';
+import { getPalette, getSymbol } from './palettes.js';
+import { getSetting, onSettingChange, setSetting } from './settings.js';
+import { getSymbolBadge, getSymbolPattern } from './symbols.js';
+import { getTouchController, isTouchActive, onTouchChange, setTouchColors, startTouch, stopTouch } from './touch.js';
+import { initAnalytics, trackError, trackEvent } from './analytics.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { Text } from 'troika-three-text';
-import { gsap } from 'gsap';
+import { createResultsPanel } from './resultsPanel.js';
+import { getMode } from './modes.js';
+import { getPowerUp } from './powerUps.js';
 import { init } from './init.js';
-import { initAnalytics } from './analytics.js';
+import { recordRoundStats } from './roundStats.js';
 
-// Initialize Vercel Analytics
+// Initialize analytics, nothing is sent without the player's consent
 initAnalytics();
 
-const bullets = {};
 const forwardVector = new THREE.Vector3(0, 0, -1);
-const bulletSpeed = 10;
-const bulletTimeToLive = 1;
-
-const blasterGroup = new THREE.Group();
-const targets = [];
-
-// Define Microsoft colors array
-const msColors = [
-	0x00A4EF, // Blue
-	0x7FBA00, // Green
-	0xF25022, // Red
-	0xFFB900  // Yellow
-];
-
-// Define color names without "Microsoft" prefix
-const colorNames = [
-	"Blue",
-	"Green",
-	"Red",
-	"Yellow"
-];
-
-// Game states
-const GAME_STATE = {
-	READY: 'ready',
-	PLAYING: 'playing',
-	GAME_OVER: 'game_over'
+const bulletOrigin = new THREE.Vector3();
+const bulletDirection = new THREE.Vector3();
+const extraDirection = new THREE.Vector3(); // Of a multishot's extra bullets
+const bulletQuaternion = new THREE.Quaternion();
+
+const targetGroup = new THREE.Group(); // Holds the targets of the current arena
+const targetObjects = []; // Plain Object3Ds mirroring game.targets, drawn by targetInstances
+let targetModel = createSphereModel(); // Replaced by target.glb once it loads
+let targetInstances = null; // Instanced meshes for all targets of the arena
+const viewerPosition = new THREE.Vector3(); // Targets turn to face the player
+const rainbowColor = new THREE.Color();
+let powerUpSpin = 0; // Radians the rings of power-up targets have turned
+const POWER_UP_SPIN_SPEED = 2; // Radians per second
+const room = createRoom(); // Detected surfaces and walls during AR sessions
+const gameUI = new THREE.Group(); // World-space UI such as the game over screen
+const pauseMenu = createPauseMenu();
+const settingsPanel = createSettingsPanel();
+const pageRay = new THREE.Object3D(); // Follows the mouse in the page, to point at the settings panel
+const pageMouse = new THREE.Vector2(); // Normalized device coordinates of the mouse
+const pageRaycaster = new THREE.Raycaster();
+let pageClicked = false;
+// Quest keeps the controllers' menu button for the system, B/Y opens the pause menu instead
+const PAUSE_BUTTON = XR_BUTTONS.BUTTON_2;
+
+// Colors and names of the selected palette (see palettes.js), Microsoft logo
+// colors by default. Updated in place when the palette setting changes.
+const msColors = [...getPalette(getSetting('palette')).colors];
+const colorNames = [...getPalette(getSetting('palette')).colorNames];
+
+// Round state, targets, bullets and scoring (see game.js); this file draws it
+// and feeds it the player's input
+const game = createGame({
+	level: getPlayedLevel(),
+	mode: getMode(getSetting('mode')),
+	colorCount: msColors.length,
+	room,
+	// Replays, online rounds and modes without a score end without asking for initials
+	isNewRecord: ({ score, level, mode, remote }) =>
+		!replay && !remote && mode.scored && isHighScore(score.points, level.id, mode.id, level.roundLength),
+});
+const bulletPool = createBulletPool(game.bullets.length);
+const effects = createEffects(game.bullets.length); // Particles, popups and bullet trails
+
+// One blaster per hand, which ones are in use depends on the handedness setting
+const blasters = {
+	left: createBlaster('left', msColors),
+	right: createBlaster('right', msColors),
 };
 
-// Game timer settings
-const GAME_DURATION = 60; // 60 seconds (1 minute) game duration
-let gameTimer = GAME_DURATION;
-let gameState = GAME_STATE.READY;
-let timerRing; // Reference to the timer ring mesh
+// Bullets keep the color they were fired with, whatever the blaster switches to later
+const bulletMaterials = msColors.map((color) => new THREE.MeshBasicMaterial({ color }));
+const WILDCARD_COLOR = 0xFFFFFF; // Bullets of a rainbow power-up, they match every color
+const wildcardMaterial = new THREE.MeshBasicMaterial({ color: WILDCARD_COLOR });
+
+// Characters the thumbstick steps through when entering initials
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
 let restartSphere; // Reference to the restart sphere
+let leaderboardText; // High-score table shown in the game over UI
+let initialsEntry = null; // { letters, slot, text } while entering initials
 
-let currentColorIndex = 0;
-const projectileMaterial = new THREE.MeshBasicMaterial({ color: msColors[0] });
-
-let score = 0;
-const scoreText = new Text();
-scoreText.fontSize = 0.05;
-scoreText.font = 'assets/SpaceMono-Bold.ttf';
-scoreText.anchorX = 'center';
-scoreText.anchorY = 'middle';
-scoreText.position.set(0, 0.2, 0.1);
-
-// Create a bright white material that matches the blaster
-const scoreTextMaterial = new THREE.MeshBasicMaterial({
-	color: new THREE.Color(1, 1, 1), // Pure white using RGB values
-	side: THREE.DoubleSide,
-	transparent: false,
-	toneMapped: false // Disable tone mapping to maintain full brightness
-});
+let audioListener;
+let timerEndSound;
+const TIMER_END_VOLUME = 1.5; // Slightly louder for emphasis
+const CALM_VOLUME = 0.5; // Of the blasters' sounds in a calm game mode (Zen)
 
-scoreText.material = scoreTextMaterial;
-scoreText.color = '#FFFFFF';
-scoreText.fillOpacity = 1;
-scoreText.outlineWidth = 0;
-scoreText.outlineOpacity = 0;
-scoreText.strokeOpacity = 1;
-scoreText.strokeColor = '#FFFFFF';
-scoreText.renderOrder = 1;
+// Rounds started fresh are recorded (see recording.js), a restored one can't be replayed
+let recording = null;
+const headPose = new THREE.Object3D(); // World poses copied for the recording
+const handPoses = { left: new THREE.Object3D(), right: new THREE.Object3D() };
+const ghost = createGhost(msColors, { showHead: false }); // Best run of the level, played alongside the round
+const replayGhost = createGhost(msColors); // The player of a replay watched in the page
+let replay = null; // { recording, frame, nextEvent, elapsed, clock } while a replay plays
 
-let laserSound, scoreSound, timerEndSound;
+// Multiplayer (see multiplayer.js): the round played online and the other players in the lobby
+let network = null; // { mode, colors, goal, players, scores, shots, ended } during an online round
+const avatars = new Map(); // By player id
+const avatarGroup = new THREE.Group();
+let blasterModel = null; // Copied for the avatars of players who join later
+let poseTimer = 0; // Seconds until our pose is sent again
+const networkText = new Text(); // Lobby status and scoreboard above the arena
 
-// Create a clock for precise timing
-const gameClock = new THREE.Clock();
-gameClock.autoStart = false;
+// Page overlay with the time and score when playing on the screen (see desktop.js)
+// or on a phone (see touch.js)
+const hud = createHud();
+const DESKTOP_HUD = { hints: 'Click: fire   Wheel / 1-4: color   P / Esc: pause', crosshair: true };
+const TOUCH_HUD = { hints: 'Tap to fire, tap the color to change it' };
+
+// Hands holding a blaster: 'right', 'left' or both for dual wield
+function activeHands() {
+	const handedness = getSetting('handedness');
+	return handedness === 'dual' ? ['left', 'right'] : [handedness];
+}
 
 function updateScoreDisplay() {
-	const clampedScore = Math.max(0, Math.min(99, score)); // Limit to 99
-	const displayScore = clampedScore.toString().padStart(2, '0'); // Display as 2 digits
-	scoreText.text = displayScore;
-	scoreText.sync();
-}
-
-// Create the radial timer ring
-function createTimerRing() {
-	// Create a ring geometry
-	const innerRadius = 0.07;
-	const outerRadius = 0.09;
-	const thetaSegments = 32;
-	const phiSegments = 1;
-	const thetaStart = 0;
-	const thetaLength = Math.PI * 2; // Full circle
-	
-	const ringGeometry = new THREE.RingGeometry(
-		innerRadius, outerRadius, thetaSegments, phiSegments, thetaStart, thetaLength
-	);
-	
-	// Create a shader material for the timer
-	const timerMaterial = new THREE.ShaderMaterial({
-		uniforms: {
-			color: { value: new THREE.Color(0x4CAF50) }, // Green color
-			progress: { value: 1.0 } // Start at 100% (full circle)
-		},
-		vertexShader: `
-			varying vec2 vUv;
-			void main() {
-				vUv = uv;
-				gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-			}
-		`,
-		fragmentShader: `
-			uniform vec3 color;
-			uniform float progress;
-			varying vec2 vUv;
-			
-			void main() {
-				// Calculate angle of current fragment
-				float angle = atan(vUv.y - 0.5, vUv.x - 0.5);
-				
-				// Normalize angle to 0-1 range
-				float normalizedAngle = (angle + 3.14159) / (2.0 * 3.14159);
-				
-				// If normalized angle is less than progress, show color
-				if (normalizedAngle > progress) {
-					discard;
-				}
-				
-				gl_FragColor = vec4(color, 1.0);
-			}
-		`,
-		side: THREE.DoubleSide,
-		transparent: true
+	Object.values(blasters).forEach((blaster) => updateBlasterScore(blaster, game.score));
+}
+
+// Update the timer rings from the time left in the round, or the lives left in a mode that has them
+function updateTimerDisplay() {
+	const { mode } = game;
+	Object.values(blasters).forEach((blaster) => {
+		if (mode.lives > 0) {
+			updateBlasterLives(blaster, game.lives, mode.lives);
+		} else {
+			updateBlasterTimer(blaster, mode.timer ? game.timer / game.level.duration : 1);
+		}
 	});
-	
-	// Create the ring mesh
-	const ring = new THREE.Mesh(ringGeometry, timerMaterial);
-	
-	// Position it behind and slightly larger than the score text
-	// Adjusted position to work with 0 rotation
-	ring.position.set(0, 0.2, 0.1);
-	
-	// Set rotation to -20 degrees (converted to radians) for better visibility
-	ring.rotation.x = -0.349; // -20 degrees in radians
-	ring.rotation.z = -1.5; // 45 degrees in radians
-	
-	return ring;
 }
 
-// Update the timer display
-function updateTimerDisplay(delta) {
-	if (gameState !== GAME_STATE.PLAYING || !timerRing) return;
-	
-	// Decrease the timer
-	gameTimer = Math.max(0, gameTimer - delta);
-	
-	// Update the shader's progress uniform
-	const progress = gameTimer / GAME_DURATION;
-	timerRing.material.uniforms.progress.value = progress;
-	
-	// Change color based on remaining time
-	if (progress < 0.25) {
-		// Red when < 25% time left
-		timerRing.material.uniforms.color.value.set(0xFF5252);
-	} else if (progress < 0.5) {
-		// Orange when < 50% time left
-		timerRing.material.uniforms.color.value.set(0xFFC107);
-	}
-	
-	// Check if timer has ended
-	if (gameTimer <= 0) {
-		endGame();
-	}
+// Power-up effects in play with their seconds left, e.g. 'WILD 4  SLOW 2'
+function powerUpText() {
+	return Object.entries(game.powerUps)
+		.map(([id, seconds]) => `${getPowerUp(id).label} ${Math.ceil(seconds)}`)
+		.join('  ');
 }
 
-// End the game
-function endGame() {
-	gameState = GAME_STATE.GAME_OVER;
-	
+function updatePowerUpDisplay() {
+	const text = powerUpText();
+	Object.values(blasters).forEach((blaster) => updateBlasterPowerUps(blaster, text));
+}
+
+// Title of the game over screen for why the round ended (see the 'end' event in game.js)
+const END_TITLES = {
+	time: 'Game Over',
+	lives: 'Out of Lives',
+	wrongColor: 'Wrong Color!',
+};
+
+// Show the game over screen once the round has ended for `reason`, with the
+// round's stats against the personal best and a line of `notice` (e.g. the best
+// run couldn't be saved)
+function endGame(newRecord, stats, best, reason, notice = '') {
+	const { score, mode } = game;
+	// Sudden Death is won by lasting until the time is up
+	const survived = mode.suddenDeath && reason === 'time';
+
 	// Play timer end sound
 	if (timerEndSound && !timerEndSound.isPlaying) {
 		timerEndSound.play();
@@ -197,10 +283,10 @@ function endGame() {
 	
 	// Create and show game over text
 	const gameOverText = new Text();
-	gameOverText.text = `Game Over`;
+	gameOverText.text = survived ? 'You Survived!' : END_TITLES[reason] ?? END_TITLES.time;
 	gameOverText.font = 'assets/SpaceMono-Bold.ttf';
 	gameOverText.fontSize = 0.15;
-	gameOverText.color = 0xFF5252; // Red color
+	gameOverText.color = survived ? 0x7FBA00 : 0xFF5252; // Green or red
 	gameOverText.anchorX = 'center';
 	gameOverText.anchorY = 'middle';
 	gameOverText.position.set(0, 1.8, -2); // In front of the player
@@ -219,7 +305,7 @@ function endGame() {
 	
 	// Create score number
 	const scoreNumberText = new Text();
-	scoreNumberText.text = `${score}`;
+	scoreNumberText.text = `${score.points}`;
 	scoreNumberText.font = 'assets/SpaceMono-Bold.ttf';
 	scoreNumberText.fontSize = 0.12;
 	scoreNumberText.color = 0x7FBA00; // Green color
@@ -227,14 +313,216 @@ function endGame() {
 	scoreNumberText.anchorY = 'middle';
 	scoreNumberText.position.set(0, 1.45, -2); // Below score text
 	scoreNumberText.sync();
+
+	// Create best streak text
+	const bestStreakText = new Text();
+	bestStreakText.text = `Best Streak ${score.bestStreak}`;
+	bestStreakText.font = 'assets/SpaceMono-Bold.ttf';
+	bestStreakText.fontSize = 0.06;
+	bestStreakText.color = 0xFFB900; // Yellow color
+	bestStreakText.anchorX = 'center';
+	bestStreakText.anchorY = 'middle';
+	bestStreakText.position.set(0, 1.3, -2); // Below score number
+	bestStreakText.sync();
 	
+	// Create game over UI group
+	const gameOverUI = new THREE.Group();
+	gameOverUI.name = 'gameOverUI';
+	gameOverUI.add(gameOverText);
+	gameOverUI.add(finalScoreText);
+	gameOverUI.add(scoreNumberText);
+	gameOverUI.add(bestStreakText);
+
+	if (notice) {
+		const noticeText = new Text();
+		noticeText.text = notice;
+		noticeText.font = 'assets/SpaceMono-Bold.ttf';
+		noticeText.fontSize = 0.04;
+		noticeText.color = 0xFF5252; // Red
+		noticeText.anchorX = 'center';
+		noticeText.anchorY = 'middle';
+		noticeText.position.set(0, 1.22, -2); // Below best streak
+		noticeText.sync();
+		gameOverUI.add(noticeText);
+	}
+
+	// Create high-score table to the right of the score
+	leaderboardText = new Text();
+	leaderboardText.font = 'assets/SpaceMono-Bold.ttf';
+	leaderboardText.fontSize = 0.06;
+	leaderboardText.color = 0xFFFFFF;
+	leaderboardText.anchorX = 'left';
+	leaderboardText.anchorY = 'top';
+	leaderboardText.position.set(0.9, 1.9, -1.8);
+	leaderboardText.rotation.y = -0.4; // Turned towards the player
+	gameOverUI.add(leaderboardText);
+	updateLeaderboardText();
+
+	// And the round's stats to the left
+	const resultsPanel = createResultsPanel(stats, best, msColors, colorNames);
+	resultsPanel.position.set(-0.9, 1.9, -1.8);
+	resultsPanel.rotation.y = 0.4; // Turned towards the player
+	gameOverUI.add(resultsPanel);
+
+	// Add to scene and track for cleanup
+	gameUI.add(gameOverUI);
+	
+	console.log("Game Over! Final Score:", score.points, "Best Streak:", score.bestStreak);
+
+	// A new record asks for initials first, the restart sphere appears once they are entered
+	if (newRecord) {
+		showInitialsEntry(gameOverUI);
+	} else {
+		showRestartSphere(gameOverUI);
+	}
+}
+
+// Fill the leaderboard text, highlighting the given entry
+function updateLeaderboardText(highlightEntry) {
+	const { level, mode } = game;
+	const highScores = getHighScores(level.id, mode.id, level.roundLength);
+	const lines = [`Top Scores - ${level.name}${mode.id === 'timed' ? '' : `, ${mode.name}`}`];
+	const colorRanges = { 0: 0x00A4EF }; // Blue title
+	highScores.forEach((entry, i) => {
+		const rank = `${i + 1}`.padStart(2, ' ');
+		const line = `${rank} ${entry.initials} ${`${entry.score}`.padStart(5, ' ')}`;
+		const lineStart = lines.join('\n').length + 1;
+		colorRanges[lineStart] = entry === highlightEntry ? 0xFFB900 : 0xFFFFFF;
+		lines.push(line);
+	});
+	if (highScores.length === 0) {
+		colorRanges[lines[0].length + 1] = 0xFFFFFF;
+		lines.push('No scores yet');
+	}
+	leaderboardText.text = lines.join('\n');
+	leaderboardText.colorRanges = colorRanges;
+	leaderboardText.sync();
+}
+
+function showInitialsEntry(gameOverUI) {
+	const newRecordText = new Text();
+	newRecordText.text = 'New Record! Enter Initials';
+	newRecordText.font = 'assets/SpaceMono-Bold.ttf';
+	newRecordText.fontSize = 0.07;
+	newRecordText.color = 0xFFB900; // Yellow color
+	newRecordText.anchorX = 'center';
+	newRecordText.anchorY = 'middle';
+	newRecordText.position.set(0, 1.1, -2);
+	newRecordText.sync();
+
+	const lettersText = new Text();
+	lettersText.font = 'assets/SpaceMono-Bold.ttf';
+	lettersText.fontSize = 0.2;
+	lettersText.anchorX = 'center';
+	lettersText.anchorY = 'middle';
+	lettersText.position.set(0, 0.85, -2);
+
+	const hintText = new Text();
+	hintText.text = 'Stick: change letter   Trigger: next';
+	hintText.font = 'assets/SpaceMono-Bold.ttf';
+	hintText.fontSize = 0.045;
+	hintText.color = 0xFFFFFF;
+	hintText.anchorX = 'center';
+	hintText.anchorY = 'middle';
+	hintText.position.set(0, 0.65, -2);
+	hintText.sync();
+
+	const group = new THREE.Group();
+	group.add(newRecordText, lettersText, hintText);
+	gameOverUI.add(group);
+
+	// Start from the initials used last time
+	initialsEntry = {
+		letters: getSetting('initials').split(''),
+		slot: 0,
+		text: lettersText,
+		group,
+		gameOverUI,
+	};
+	updateInitialsText();
+}
+
+function updateInitialsText() {
+	const { letters, slot, text } = initialsEntry;
+	// Letters are spaced out, so letter i starts at character i * 2
+	text.text = letters.join(' ');
+	text.colorRanges = { 0: 0xFFFFFF, [slot * 2]: 0xFFB900, [slot * 2 + 1]: 0xFFFFFF };
+	text.sync();
+}
+
+// Up/down changes the current letter, left/right moves between letters, trigger confirms.
+// Tracked hands have no up/down, so their wrist flicks change the letter instead.
+function handleInitialsInput(gamepad) {
+	const { letters } = initialsEntry;
+	const xAxis = gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_X);
+	const yAxis = gamepad.isHand ? -xAxis : gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_Y);
+
+	if (Math.abs(xAxis) > 0.7 || Math.abs(yAxis) > 0.7) {
+		if (!gamepad.userData.initialsDebounce) {
+			gamepad.userData.initialsDebounce = true;
+			if (gamepad.isHand || Math.abs(yAxis) > Math.abs(xAxis)) {
+				// Stick up (negative y) goes forward through the alphabet
+				const step = yAxis < 0 ? 1 : -1;
+				const index = INITIALS_ALPHABET.indexOf(letters[initialsEntry.slot]);
+				letters[initialsEntry.slot] = INITIALS_ALPHABET[
+					(index + step + INITIALS_ALPHABET.length) % INITIALS_ALPHABET.length
+				];
+			} else {
+				const step = xAxis > 0 ? 1 : -1;
+				initialsEntry.slot = Math.min(letters.length - 1, Math.max(0, initialsEntry.slot + step));
+			}
+			updateInitialsText();
+			pulse(gamepad, 0.3, 50);
+		}
+	} else {
+		gamepad.userData.initialsDebounce = false;
+	}
+
+	if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+		pulse(gamepad, 0.6, 100);
+		if (initialsEntry.slot < letters.length - 1) {
+			initialsEntry.slot += 1;
+			updateInitialsText();
+		} else {
+			submitInitials();
+		}
+	}
+}
+
+// Save the new record and let the player restart
+function submitInitials() {
+	const { letters, group, gameOverUI } = initialsEntry;
+	const initials = letters.join('');
+	setSetting('initials', initials);
+	const entry = addHighScore({
+		initials,
+		score: game.score.points,
+		bestStreak: game.score.bestStreak,
+		level: game.level.id,
+		mode: game.mode.id,
+		roundLength: game.level.roundLength,
+	});
+
+	gameOverUI.remove(group);
+	initialsEntry = null;
+	updateLeaderboardText(entry);
+
+	playBlasterSound(blasters[activeHands()[0]].scoreSound);
+
+	finishInitials(game);
+	showRestartSphere(gameOverUI);
+}
+
+function showRestartSphere(gameOverUI) {
 	// Create restart sphere
-	const restartSphereGeometry = new THREE.SphereGeometry(0.3);
+	const { radius, position, colorIndex } = RESTART_SPHERE;
+	const restartSphereGeometry = new THREE.SphereGeometry(radius);
 	const restartSphereMaterial = new THREE.MeshBasicMaterial({
-		color: 0xFFB900 // Yellow color
+		color: msColors[colorIndex], // Yellow color by default
+		map: getSetting('symbols') ? getSymbolPattern(colorIndex) : null,
 	});
 	restartSphere = new THREE.Mesh(restartSphereGeometry, restartSphereMaterial);
-	restartSphere.position.set(0, 0.8, -2); // Lowered position below score
+	restartSphere.position.copy(position); // Below the score
 	
 	// Create restart text
 	const restartText = new Text();
@@ -244,52 +532,98 @@ function endGame() {
 	restartText.color = 0xFFFFFF; // Changed from blue to white
 	restartText.anchorX = 'center';
 	restartText.anchorY = 'middle';
-	restartText.position.set(0, 0, 0.35); // Position in front of the sphere (sphere radius is 0.3)
+	restartText.position.set(0, 0, radius + 0.05); // Position in front of the sphere
 	restartText.sync();
 	restartSphere.add(restartText);
-	
-	// Create game over UI group
-	const gameOverUI = new THREE.Group();
-	gameOverUI.name = 'gameOverUI';
-	gameOverUI.add(gameOverText);
-	gameOverUI.add(finalScoreText);
-	gameOverUI.add(scoreNumberText);
 	gameOverUI.add(restartSphere);
 	
-	// Add to scene and track for cleanup
-	if (blasterGroup.parent) {
-		const scene = blasterGroup.parent.parent;
-		scene.add(gameOverUI);
-	}
-	
-	console.log("Game Over! Final Score:", score);
-	
-	// Hide targets
-	targets.forEach(target => {
-		target.visible = false;
-	});
-	
 	// Note: No auto-restart timer anymore, player must shoot the restart sphere
 }
 
-// Prepare game but don't start the timer
-function prepareGame() {
-	score = 0;
-	updateScoreDisplay();
-	gameTimer = GAME_DURATION;
-	gameState = GAME_STATE.READY;
-	
-	// Reset timer ring color to green
-	if (timerRing) {
-		timerRing.material.uniforms.color.value.set(0x4CAF50); // Reset to green
-		timerRing.material.uniforms.progress.value = 1.0; // Reset to full circle
+// Color a target for its slot, with the ring of its power-up if it is one
+function setTargetColor(target, colorIndex, powerUp = null) {
+	target.userData.colorIndex = colorIndex;
+	target.userData.powerUp = powerUp;
+	// A rainbow target has no slot, its color cycles (see syncTargets())
+	const slot = powerUp === 'rainbow' ? -1 : colorIndex;
+	setInstanceColor(targetInstances, target.userData.index, msColors[colorIndex], slot);
+	setInstanceRing(targetInstances, target.userData.index, powerUp ? getPowerUp(powerUp).color : null);
+}
+
+// (Re)create the instanced meshes that draw the targets with the current model
+function buildTargetInstances() {
+	if (targetInstances) {
+		disposeTargetInstances(targetInstances);
 	}
-	
-	// Show all targets
-	targets.forEach(target => {
-		target.visible = true;
-		target.scale.set(1, 1, 1);
+	targetInstances = createTargetInstances(targetModel, game.level.targets.size, targetObjects.length);
+	targetGroup.add(targetInstances.group);
+	setTargetSymbols(targetInstances, getSetting('symbols') ? msColors.map((_, i) => getSymbolBadge(i)) : null);
+	targetObjects.forEach((target) => setTargetColor(target, target.userData.colorIndex, target.userData.powerUp));
+}
+
+// One Object3D per target of the game's arena, drawn with the current model
+function buildArena() {
+	targetObjects.length = 0;
+	game.targets.forEach(({ index, colorIndex, powerUp }) => {
+		const target = new THREE.Object3D();
+		target.userData.index = index;
+		target.userData.burst = 0;
+		target.userData.colorIndex = colorIndex;
+		target.userData.powerUp = powerUp;
+		targetObjects.push(target);
+	});
+
+	// Targets are drawn with Microsoft logo colors, one draw call per model part
+	buildTargetInstances();
+}
+
+// Copy the game's targets into their Object3Ds and the instances, turned to
+// face the player. Power-up rings turn and rainbow targets change hue as the round goes on.
+function syncTargets(delta, camera) {
+	camera.getWorldPosition(viewerPosition);
+	if (game.state !== GAME_STATE.PAUSED) powerUpSpin += delta * POWER_UP_SPIN_SPEED;
+	game.targets.forEach((gameTarget, i) => {
+		const target = targetObjects[i];
+		target.position.copy(gameTarget.position);
+		target.visible = gameTarget.visible;
+		target.scale.setScalar(targetScale(gameTarget));
+		target.userData.burst = targetBurst(gameTarget);
+		target.userData.spin = powerUpSpin;
+		if (target.userData.colorIndex !== gameTarget.colorIndex || target.userData.powerUp !== gameTarget.powerUp) {
+			setTargetColor(target, gameTarget.colorIndex, gameTarget.powerUp);
+		}
+		if (gameTarget.powerUp === 'rainbow') {
+			rainbowColor.setHSL((powerUpSpin * 0.1 + i / game.targets.length) % 1, 1, 0.55);
+			setInstanceColor(targetInstances, i, rainbowColor.getHex(), -1);
+		}
+		target.lookAt(viewerPosition);
 	});
+	syncTargetInstances(targetInstances, targetObjects);
+}
+
+// Prepare game but don't start the timer, `options` go to prepareRound(). The
+// round is played in the selected game mode unless they say otherwise.
+function prepareGame(selectedLevel = getPlayedLevel(), options = {}) {
+	prepareRound(game, selectedLevel, { mode: getMode(getSetting('mode')), ...options });
+	recording = null;
+	setGhostRecording(ghost, null);
+	showNewRound();
+}
+
+// Draw the round the game was just set up with: its arena, score and timer, and no game over UI
+function showNewRound() {
+	buildArena();
+	clearEffects(effects); // Sparks and popups of the last round
+
+	// The blasters show what the game mode keeps track of, Zen plays softer
+	Object.values(blasters).forEach((blaster) => {
+		showBlasterHud(blaster, { ring: game.mode.timer || game.mode.lives > 0, score: game.mode.scored });
+	});
+	applyVolumes();
+
+	updateScoreDisplay();
+	updateTimerDisplay();
+	updatePowerUpDisplay();
 	
 	// Remove game over UI if it exists - improved with direct scene reference
 	if (restartSphere && restartSphere.parent) {
@@ -298,26 +632,104 @@ function prepareGame() {
 	}
 	
 	// Find and remove any remaining gameOverUI by name
-	if (blasterGroup.parent) {
-		const scene = blasterGroup.parent.parent;
-		const gameOverUI = scene.getObjectByName('gameOverUI');
-		if (gameOverUI) {
-			scene.remove(gameOverUI);
-			console.log("Game over UI removed in prepareGame");
-		}
+	const gameOverUI = gameUI.getObjectByName('gameOverUI');
+	if (gameOverUI) {
+		gameUI.remove(gameOverUI);
+		console.log("Game over UI removed in showNewRound");
 	}
 	
 	// Clear restart sphere reference
 	restartSphere = null;
+	leaderboardText = null;
+	initialsEntry = null;
 }
 
 // Actually start the game (timer)
 function startGame() {
-	gameState = GAME_STATE.PLAYING;
-	gameClock.start();
+	startRound(game);
+	clearSavedGame(); // A fresh round replaces any interrupted one
+	recording = createRecording({ seed: game.seed, level: game.level, mode: game.mode.id });
+	activeHands().forEach((hand) => recordEvent(recording, 'color', hand, blasters[hand].colorIndex));
+	// Race the best run of the level, if there is one
+	const bestRun = getSetting('ghost') ? getBestRun(game.level.id, game.mode.id, game.level.roundLength) : null;
+	setGhostRecording(ghost, bestRun);
+	trackEvent('game_start', { level: game.level.id, online: false, gameMode: game.mode.id });
 	console.log("Game started!");
 }
 
+// Freeze the round and open the pause menu
+function pauseGame() {
+	// Online rounds go on for the other players
+	if (game.remote || !pauseRound(game)) return;
+	if (recording) recordEvent(recording, 'pause');
+	showMenu(pauseMenu);
+	// Saved right away, a hidden session may never come back
+	saveGame(snapshotGame());
+}
+
+function resumeGame() {
+	if (!resumeRound(game)) return;
+	if (recording) recordEvent(recording, 'resume');
+	hideMenu(pauseMenu);
+	setSettingsPanelOpen(false);
+	clearSavedGame();
+}
+
+// Act on the pause menu button picked with the trigger
+function selectPauseMenuButton(buttonId, renderer) {
+	if (buttonId === 'resume') {
+		resumeGame();
+	} else if (buttonId === 'restart') {
+		hideMenu(pauseMenu);
+		trackEvent('restart', { via: 'pause_menu', level: game.level.id, gameMode: game.mode.id });
+		prepareGame();
+		startGame();
+	} else if (buttonId === 'settings') {
+		// Shown in place of the pause menu until Done brings it back
+		hideMenu(pauseMenu);
+		setSettingsPanelOpen(true);
+	} else if (buttonId === 'quit') {
+		// Back to the title card with a fresh arena, nothing is kept
+		hideMenu(pauseMenu);
+		clearSavedGame();
+		prepareGame();
+		renderer.xr.getSession()?.end();
+		stopDesktop();
+	}
+}
+
+// Act on the settings panel button picked, Done closes the panel
+function selectSettingsPanelButton(buttonId) {
+	if (selectSettingsButton(settingsPanel, buttonId)) setSettingsPanelOpen(false);
+}
+
+// Everything needed to rebuild the round in progress, with the blasters' colors
+function snapshotGame() {
+	return {
+		...snapshotRound(game),
+		colors: Object.fromEntries(
+			Object.entries(blasters).map(([hand, blaster]) => [hand, blaster.colorIndex]),
+		),
+	};
+}
+
+// Rebuild a saved round, paused until the player resumes it. Returns false if
+// the save doesn't fit its level anymore (e.g. a custom level that was replaced).
+function restoreGame(saved) {
+	if (!restoreRound(game, saved, withRoundLength(getLevel(saved.level), saved.roundLength))) {
+		return false;
+	}
+	showNewRound();
+	// Missing from a damaged save, then the blasters keep their colors
+	Object.entries(saved.colors ?? {}).forEach(([hand, colorIndex]) => {
+		if (blasters[hand] && msColors[colorIndex] !== undefined) {
+			setBlasterColor(blasters[hand], colorIndex, msColors[colorIndex]);
+		}
+	});
+	pauseGame();
+	return true;
+}
+
 function setupScene({ scene, camera, renderer, _player, _controllers }) {
 	const gltfLoader = new GLTFLoader();
 
@@ -332,311 +744,1001 @@ function setupScene({ scene, camera, renderer, _player, _controllers }) {
 		console.log('Blaster model structure:');
 		traverseModel(gltf.scene);
 		
-		// Get references to bullet and sphere meshes
-		const bulletMesh = gltf.scene.getObjectByName('bullet');
-		const sphereMesh = gltf.scene.getObjectByName('sphere');
-		
-		// Apply shared material to both meshes
-		if (bulletMesh) bulletMesh.material = projectileMaterial;
-		if (sphereMesh) sphereMesh.material = projectileMaterial;
-		
-		blasterGroup.add(gltf.scene);
-		blasterGroup.add(scoreText);
-		
-		// Create and add the timer ring
-		timerRing = createTimerRing();
-		blasterGroup.add(timerRing);
+		// Each hand gets its own copy of the model and HUD
+		Object.values(blasters).forEach((blaster) => attachBlasterModel(blaster, gltf.scene));
+		fillBulletPool(bulletPool, gltf.scene.getObjectByName('bullet'));
+		attachGhostModel(ghost, gltf.scene);
+		attachGhostModel(replayGhost, gltf.scene);
+		blasterModel = gltf.scene;
+		avatars.forEach((avatar) => attachAvatarModel(avatar, blasterModel));
+	}, undefined, (error) => {
+		console.error('Error loading blaster model:', error);
+		trackError('asset', error, { asset: 'assets/blaster.glb' });
 	});
 
-	// Create sphere targets with Microsoft logo colors
-	const sphereGeometry = new THREE.SphereGeometry(0.5);
-	
-	// Create targets that surround the player in 360 degrees
-	const numTargets = 12; // Increased from 3 to 12
-	const radius = 8; // Distance from center
-	const heightRange = 4; // Vertical distribution range
-	
-	for (let i = 0; i < numTargets; i++) {
-		const randomColor = msColors[Math.floor(Math.random() * msColors.length)];
-		const sphereMaterial = new THREE.MeshBasicMaterial({
-			color: randomColor
-		});
-		
-		const target = new THREE.Mesh(sphereGeometry, sphereMaterial);
-		
-		// Calculate position in a 360-degree ring around the player
-		// Use some randomness for more natural distribution
-		const angle = (i / numTargets) * Math.PI * 2 + (Math.random() * 0.5);
-		const horizontalRadius = radius + (Math.random() * 3 - 1.5); // Add some variety to distance
-		const height = (Math.random() * heightRange) - (heightRange/2) + 1.6; // Height variety around player eye level
-		
-		target.position.set(
-			Math.sin(angle) * horizontalRadius, // X position
-			height, // Y position
-			Math.cos(angle) * horizontalRadius // Z position
+	// Targets are spheres until their model is in, and stay spheres if it fails to load
+	gltfLoader.load(
+		'assets/target.glb',
+		(gltf) => {
+			targetModel = createTargetModel(gltf.scene);
+			game.modelRadius = targetModel.radius; // Hit radius and spawn clearance follow the model
+			buildTargetInstances();
+		},
+		undefined,
+		(error) => {
+			console.error('Error loading target model, using spheres:', error);
+			trackError('asset', error, { asset: 'assets/target.glb' });
+		},
+	);
+
+	// Targets are (re)built from the selected level in prepareGame()
+	scene.add(targetGroup);
+	scene.add(bulletPool.group);
+	scene.add(effects.group);
+	scene.add(ghost.group);
+	scene.add(replayGhost.group);
+	scene.add(avatarGroup);
+	scene.add(gameUI);
+	gameUI.add(pauseMenu.group);
+	gameUI.add(settingsPanel.group);
+	// Hidden, the page's own cursor points at the panel
+	pageRay.visible = false;
+	scene.add(pageRay);
+	renderer.domElement.addEventListener('mousemove', (event) => {
+		const rect = renderer.domElement.getBoundingClientRect();
+		pageMouse.set(
+			((event.clientX - rect.left) / rect.width) * 2 - 1,
+			-((event.clientY - rect.top) / rect.height) * 2 + 1,
 		);
-		
-		scene.add(target);
-		targets.push(target);
-	}
+	});
+	renderer.domElement.addEventListener('click', () => {
+		pageClicked = true;
+	});
 
-	updateScoreDisplay();
+	networkText.font = 'assets/SpaceMono-Bold.ttf';
+	networkText.fontSize = 0.08;
+	networkText.color = 0xFFFFFF;
+	networkText.anchorX = 'center';
+	networkText.anchorY = 'bottom';
+	networkText.textAlign = 'center';
+	networkText.position.set(0, 2.2, -2.5); // Above the game over screen
+	networkText.visible = false;
+	gameUI.add(networkText);
 
 	// Load and set up positional audio
-	const listener = new THREE.AudioListener();
-	camera.add(listener);
+	audioListener = new THREE.AudioListener();
+	camera.add(audioListener);
 
 	const audioLoader = new THREE.AudioLoader();
-	laserSound = new THREE.PositionalAudio(listener);
-	audioLoader.load('assets/laser.ogg', (buffer) => {
-		laserSound.setBuffer(buffer);
-		blasterGroup.add(laserSound);
-	});
-
-	scoreSound = new THREE.PositionalAudio(listener);
-	audioLoader.load('assets/score.ogg', (buffer) => {
-		scoreSound.setBuffer(buffer);
-		scoreText.add(scoreSound);
+	Promise.all([
+		audioLoader.loadAsync('assets/laser.ogg'),
+		audioLoader.loadAsync('assets/score.ogg'),
+	]).then(([laserBuffer, scoreBuffer]) => {
+		// Every blaster plays its own laser and score sounds
+		Object.values(blasters).forEach((blaster) => {
+			addBlasterSounds(blaster, audioListener, laserBuffer, scoreBuffer);
+		});
+		applyVolumes();
+	}).catch((error) => {
+		console.error('Error loading blaster sounds:', error);
+		trackError('asset', error, { asset: 'assets/laser.ogg, assets/score.ogg' });
 	});
+	addEffectSounds(effects, audioListener);
 	
 	// Add timer end sound - now using dedicated endGame sound
-	timerEndSound = new THREE.PositionalAudio(listener);
+	// Not positional, the round ends for both hands at once
+	timerEndSound = new THREE.Audio(audioListener);
 	audioLoader.load('assets/endGame.ogg', (buffer) => {
 		timerEndSound.setBuffer(buffer);
-		timerEndSound.setVolume(1.5); // Slightly louder for emphasis
-		blasterGroup.add(timerEndSound);
+	}, undefined, (error) => {
+		console.error('Error loading end game sound:', error);
+		trackError('asset', error, { asset: 'assets/endGame.ogg' });
 	});
 	
+	applyVolumes();
+	applyHudPosition();
+	
 	// Just prepare the game but don't start it yet
 	prepareGame();
+	applyColorScheme();
+
+	// Settings apply as soon as they change. A different level or mode rebuilds
+	// the arena, unless a round is in progress (it applies to the next one).
+	onSettingChange((key) => {
+		if ((key === 'level' || key === 'roundLength' || key === 'mode') && !roundInProgress()) {
+			prepareGame();
+		} else if (key === 'roundLength') {
+			applyRoundLength();
+		} else if (key === 'palette' || key === 'symbols') {
+			applyColorScheme();
+		} else if (key === 'masterVolume' || key === 'sfxVolume') {
+			applyVolumes();
+		} else if (key === 'hudPosition') {
+			applyHudPosition();
+		}
+	});
+
+	// The settings panel stands in for the pause menu while it is open
+	onSettingsPanelChange((open) => {
+		if (open) {
+			showMenu(settingsPanel);
+		} else {
+			hideMenu(settingsPanel);
+			if (game.state === GAME_STATE.PAUSED) showMenu(pauseMenu);
+		}
+	});
+
+	// Recordings loaded on the title card play in the page
+	onRecordingEvent((event) => {
+		if (event.type === 'replay' && !renderer.xr.isPresenting) {
+			startReplay(event.recording);
+		} else if (event.type === 'replayEnd' && replay) {
+			replay = null;
+			setGhostRecording(replayGhost, null);
+			prepareGame();
+		}
+	});
 	
-	// Listen for AR session start
+	// Listen for AR or VR session start
 	renderer.xr.addEventListener('sessionstart', () => {
-		startGame(); // Start the game when AR session begins
-		console.log("XR session started - game started");
+		const session = renderer.xr.getSession();
+		// Room features are optional, without them targets keep to the ring
+		startRoom(room, session, renderer.xr.getReferenceSpace());
+
+		// The system menu or taking the headset off hides the session, pause until the player is back
+		session.addEventListener('visibilitychange', () => {
+			if (session.visibilityState !== 'visible') {
+				pauseGame();
+			}
+		});
+		// A phone is played with taps on the screen
+		startTouch(session);
+		startPlaying();
 	});
 	
-	// Listen for AR session end
+	// Listen for AR or VR session end
 	renderer.xr.addEventListener('sessionend', () => {
-		// Only pause if we're in playing state
-		if (gameState === GAME_STATE.PLAYING) {
-			gameState = GAME_STATE.READY;
-			console.log("XR session ended - game paused");
+		stopRoom(room);
+		stopTouch();
+		stopPlaying();
+	});
+
+	onTouchChange((active) => showHud(hud, active, TOUCH_HUD));
+
+	// Play on the screen, started and stopped from the title card and the pause menu
+	onDesktopChange((active) => {
+		showHud(hud, active, DESKTOP_HUD);
+		if (active) {
+			startPlaying();
+		} else {
+			stopPlaying();
+		}
+	});
+}
+
+// A headset session or desktop play started. Online, the round starts once
+// everyone in the lobby is ready. Offline, pick up an interrupted round where
+// it was left, otherwise start a fresh one.
+function startPlaying() {
+	setSettingsPanelOpen(false); // Opened on the title card
+	const saved = loadSavedGame();
+	if (isOnline()) {
+		send({ type: 'ready', modelRadius: game.modelRadius });
+		console.log("Play started - waiting for players");
+	} else if (saved && restoreGame(saved)) {
+		console.log("Play started - saved game restored");
+	} else {
+		prepareGame();
+		startGame();
+		console.log("Play started - game started");
+	}
+}
+
+function stopPlaying() {
+	if (isOnline()) send({ type: 'unready' });
+	// Keep a round in progress for the next session, an online one goes on without us
+	if (network) {
+		leaveNetworkRound();
+	} else if (roundInProgress()) {
+		saveGame(snapshotGame());
+		hideMenu(pauseMenu);
+		setSettingsPanelOpen(false);
+		stopRound(game);
+		console.log("Play stopped - game saved");
+	}
+	// The round picks up from its save next time, so it can't be replayed from its seed
+	recording = null;
+	setGhostRecording(ghost, null);
+}
+
+function roundInProgress() {
+	return game.state === GAME_STATE.PLAYING || game.state === GAME_STATE.PAUSED;
+}
+
+// In a headset session or playing on the screen
+function isPlaying(renderer) {
+	return renderer.xr.isPresenting || isDesktopActive();
+}
+
+// Mouse and keyboard or screen taps, when one of them is played with instead of controllers
+function screenController() {
+	if (isDesktopActive()) return getDesktopController();
+	if (isTouchActive()) return getTouchController();
+	return null;
+}
+
+// The controllers in use: the XR ones, or the screen's holding the blaster of
+// the first hand in use (the right one when both are)
+function activeControllers(controllers) {
+	const controller = screenController();
+	if (!controller) return controllers;
+	const hands = activeHands();
+	return { [hands.includes('right') ? 'right' : hands[0]]: controller };
+}
+
+// Haptic pulse on a controller, if it supports it, scaled by the haptics setting
+function pulse(gamepad, intensity, duration) {
+	const strength = getSetting('haptics');
+	if (strength <= 0) return;
+	try {
+		gamepad.getHapticActuator(0).pulse(intensity * strength, duration);
+	} catch {
+		// do nothing if haptic feedback not available
+	}
+}
+
+// Show the selected color (and its symbol, when symbols are on) in the page UI
+function updateColorIndicator(colorIndex) {
+	const colorIndicator = document.getElementById('colorIndicator');
+	const colorName = document.getElementById('colorName');
+	if (colorIndicator) {
+		colorIndicator.style.background = '#' + msColors[colorIndex].toString(16).padStart(6, '0');
+		colorIndicator.textContent = getSetting('symbols') ? getSymbol(colorIndex).glyph : '';
+	}
+	if (colorName) {
+		colorName.textContent = colorNames[colorIndex];
+	}
+}
+
+// Switch everything colored to the selected palette, with or without symbols
+function applyColorScheme() {
+	const palette = getPalette(getSetting('palette'));
+	msColors.splice(0, msColors.length, ...palette.colors);
+	colorNames.splice(0, colorNames.length, ...palette.colorNames);
+	const symbols = getSetting('symbols');
+	const patterns = symbols ? msColors.map((_, i) => getSymbolPattern(i)) : null;
+
+	bulletMaterials.forEach((material, i) => {
+		material.color.setHex(msColors[i]);
+		material.map = patterns ? patterns[i] : null;
+		material.needsUpdate = true;
+	});
+	Object.values(blasters).forEach((blaster) => setBlasterPalette(blaster, msColors, patterns));
+	setTouchColors(msColors, symbols ? msColors.map((_, i) => getSymbol(i).glyph) : null);
+	buildTargetInstances();
+	if (restartSphere) {
+		restartSphere.material.color.setHex(msColors[RESTART_SPHERE.colorIndex]);
+		restartSphere.material.map = patterns ? patterns[RESTART_SPHERE.colorIndex] : null;
+		restartSphere.material.needsUpdate = true;
+	}
+	updateColorIndicator(blasters[activeHands()[0]].colorIndex);
+}
+
+// The master volume on the listener, the effects volume on every game sound
+// under it. A calm game mode has softer blasters and no buzz.
+function applyVolumes() {
+	const sfxVolume = getSetting('sfxVolume');
+	const { calm } = game.mode;
+	audioListener.setMasterVolume(getSetting('masterVolume'));
+	Object.values(blasters).forEach((blaster) => setBlasterVolume(blaster, sfxVolume * (calm ? CALM_VOLUME : 1)));
+	setEffectsVolume(effects, calm ? 0 : sfxVolume);
+	timerEndSound?.setVolume(TIMER_END_VOLUME * sfxVolume);
+}
+
+// Stretch or shorten the round in progress to the new round length. It no longer
+// plays out as recorded, so it isn't kept as a replay or best run.
+function applyRoundLength() {
+	if (game.remote || replay || game.level.id !== getSelectedLevel().id) return;
+	setRoundLength(game, withRoundLength(getSelectedLevel(), getSetting('roundLength')));
+	recording = null;
+	setGhostRecording(ghost, null);
+	updateTimerDisplay();
+}
+
+function applyHudPosition() {
+	Object.values(blasters).forEach((blaster) => setBlasterHudPosition(blaster, getSetting('hudPosition')));
+}
+
+// Middle-of-the-screen line for the page overlay
+function hudStatus() {
+	switch (game.state) {
+		case GAME_STATE.PAUSED:
+			return isDesktopActive() && !isPointerLocked() ? 'Paused - click to aim at the menu' : 'Paused';
+		case GAME_STATE.NEW_RECORD:
+			return isTouchActive() ? 'Tap to confirm each letter' : 'Arrow keys: change letter   Click: next';
+		case GAME_STATE.GAME_OVER:
+			return 'Shoot the sphere to play again';
+		default:
+			return '';
+	}
+}
+
+// Point the thumbstick at a color on the color wheel, step through the colors
+// with it or the grip, as the colorChange setting says, or pick one directly
+// (number keys on the desktop). Tracked hands and the mouse wheel have no grip
+// and only flick, so they always step.
+function handleColorInput(blaster, gamepad) {
+	if (gamepad.pickedColor != null) {
+		if (colorChoices().includes(gamepad.pickedColor)) selectColor(blaster, gamepad, gamepad.pickedColor);
+		return;
+	}
+	const colorChange = getSetting('colorChange');
+	const controller = !gamepad.isHand && !gamepad.isDesktop;
+	if (colorChange === 'squeeze' && controller) {
+		if (gamepad.getButtonClick(XR_BUTTONS.SQUEEZE)) stepColor(blaster, gamepad, 1);
+		return;
+	}
+	if (colorChange === 'wheel' && controller) {
+		pointColorWheel(blaster, gamepad);
+		return;
+	}
+
+	// Check joystick input for color cycling using correct methods
+	const xAxis = gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_X);
+	
+	// Horizontal joystick movement detection
+	if (Math.abs(xAxis) > 0.7) { // Horizontal movement threshold
+		if (!gamepad.userData.colorChangeDebounce) {
+			// Change color based on joystick direction
+			stepColor(blaster, gamepad, xAxis > 0 ? 1 : -1);
+			gamepad.userData.colorChangeDebounce = true;
+		}
+	} else {
+		gamepad.userData.colorChangeDebounce = false;
+	}
+}
+
+// Open the wheel while the stick is pushed out, select the color it last pointed
+// at once the stick is let go
+function pointColorWheel(blaster, gamepad) {
+	const wheel = blaster.colorWheel;
+	const choices = colorChoices();
+	const pointed = colorWheelSlot(
+		choices,
+		gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_X),
+		gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_Y),
+		wheel.pointed !== null,
+	);
+	if (pointed === null) {
+		if (wheel.pointed !== null) selectColor(blaster, gamepad, wheel.pointed);
+	} else if (pointed !== wheel.pointed) {
+		pulse(gamepad, 0.1, 20); // A tick for each color passed
+	}
+	showColorWheel(wheel, choices, pointed);
+}
+
+// Close the color wheel without selecting anything, e.g. on pausing with the stick held
+function closeColorWheel(blaster) {
+	if (blaster.colorWheel.pointed !== null) showColorWheel(blaster.colorWheel, [], null);
+}
+
+// Move `step` colors on through the colors this player may fire
+function stepColor(blaster, gamepad, step) {
+	const choices = colorChoices();
+	const choice = choices.indexOf(blaster.colorIndex);
+	selectColor(blaster, gamepad, choices[(choice + step + choices.length) % choices.length]);
+}
+
+function selectColor(blaster, gamepad, colorIndex) {
+	// Update material color
+	setBlasterColor(blaster, colorIndex, msColors[colorIndex]);
+	if (recording) recordEvent(recording, 'color', blaster.hand, colorIndex);
+	if (isOnline()) send({ type: 'color', hand: blaster.hand, colorIndex });
+	
+	updateColorIndicator(colorIndex);
+	
+	// Add haptic feedback for color change
+	pulse(gamepad, 0.3, 50);
+}
+
+function fireBlaster(blaster, gamepad) {
+	pulse(gamepad, 0.6, 100);
+
+	// Play laser sound
+	playBlasterSound(blaster.laserSound);
+
+	const bulletPrototype = blaster.group.getObjectByName('bullet');
+	if (bulletPrototype) {
+		bulletPrototype.getWorldPosition(bulletOrigin);
+		bulletPrototype.getWorldQuaternion(bulletQuaternion);
+		bulletDirection.copy(forwardVector).applyQuaternion(bulletQuaternion);
+		if (recording) {
+			recordEvent(
+				recording,
+				'fire',
+				blaster.hand,
+				blaster.colorIndex,
+				...bulletOrigin.toArray(),
+				...bulletDirection.toArray(),
+			);
+		}
+		const bullet = launchBullet(bulletOrigin, bulletDirection, bulletQuaternion, blaster.colorIndex, blaster.hand);
+		// The relay decides whether it hits
+		if (network && game.state === GAME_STATE.PLAYING) {
+			countShot(game, blaster.colorIndex);
+			send({
+				type: 'fire',
+				shot: bullet.index,
+				hand: blaster.hand,
+				colorIndex: blaster.colorIndex,
+				origin: bulletOrigin.toArray(),
+				direction: bulletDirection.toArray(),
+			});
+		}
+	}
+}
+
+// Fire a shot in the game and draw its bullets with their trails, returns the
+// shot's own bullet. It is turned by `quaternion`, a multishot's extra bullets
+// along their flight.
+function launchBullet(origin, direction, quaternion, colorIndex, hand) {
+	const bullets = fireShot(game, origin, direction, colorIndex, hand);
+	bullets.forEach((bullet) => {
+		const mesh = bulletPool.bullets[bullet.index];
+		if (mesh) {
+			mesh.material = bullet.wildcard ? wildcardMaterial : bulletMaterials[colorIndex];
+			if (bullet.extra) {
+				mesh.quaternion.setFromUnitVectors(forwardVector, extraDirection.copy(bullet.velocity).normalize());
+			} else {
+				mesh.quaternion.copy(quaternion);
+			}
+		}
+		startTrail(effects, bullet.index, origin, bullet.wildcard ? WILDCARD_COLOR : msColors[colorIndex]);
+	});
+	return bullets[0];
+}
+
+// World poses of the head and the blasters in use, for the recording and the other players
+function playerPoses(camera, controllers) {
+	camera.matrixWorld.decompose(headPose.position, headPose.quaternion, headPose.scale);
+	const poses = { head: headPose, left: null, right: null };
+	activeHands().forEach((hand) => {
+		const raySpace = controllers[hand]?.raySpace;
+		if (!raySpace) return;
+		const pose = handPoses[hand];
+		raySpace.matrixWorld.decompose(pose.position, pose.quaternion, pose.scale);
+		poses[hand] = pose;
+	});
+	return poses;
+}
+
+// Sounds, haptics, effects and UI for what happened in the game this frame
+function handleGameEvent(event, controllers) {
+	const blaster = event.bullet && blasters[event.bullet.hand];
+	switch (event.type) {
+		case 'hit': {
+			const color = msColors[event.target.colorIndex];
+			emitBurst(effects, event.target.position, color, targetInstances.radius);
+			showScorePopup(effects, event.point, event.points, color);
+			playBlasterSound(blaster.scoreSound);
+			updateScoreDisplay();
+			if (recording) recordEvent(recording, 'hit', event.target.index, event.points);
+			break;
+		}
+		case 'deflect':
+			// Sparks glance off the surface where the bullet went in
+			emitDeflect(effects, event.point, event.normal, event.bullet.velocity, msColors[event.bullet.colorIndex]);
+			updateScoreDisplay();
+			break;
+		case 'expire':
+			emitFizzle(effects, event.point, msColors[event.bullet.colorIndex]);
+			if (event.missed) updateScoreDisplay();
+			break;
+		case 'escape':
+			// The target got away before respawning, every blaster feels the lost life
+			emitFizzle(effects, event.target.position, msColors[event.target.colorIndex]);
+			updateScoreDisplay();
+			updateTimerDisplay();
+			Object.values(controllers).forEach((controller) => {
+				if (controller?.gamepad) pulse(controller.gamepad, 0.5, 150);
+			});
+			break;
+		case 'powerUp':
+			// A second burst in the power-up's color, and its effect shows on the HUD
+			emitBurst(effects, event.target.position, getPowerUp(event.powerUp).color, targetInstances.radius);
+			if (event.powerUp === 'clock') {
+				Object.values(blasters).forEach((other) => flashBlasterTimer(other));
+				updateTimerDisplay();
+			}
+			updatePowerUpDisplay();
+			break;
+		case 'powerUpEnd':
+			updatePowerUpDisplay();
+			break;
+		case 'restart': {
+			// Color match on the restart sphere - restart the game!
+			playBlasterSound(blaster.scoreSound);
+
+			// Vibration feedback on the hand that fired
+			const controller = controllers[event.bullet.hand];
+			if (controller && controller.gamepad) {
+				pulse(controller.gamepad, 0.8, 300);
+			}
+			trackEvent('restart', { via: 'sphere', level: game.level.id, gameMode: game.mode.id });
+			network = null;
+			prepareGame();
+			if (isOnline()) {
+				// The next online round starts when everyone is ready again
+				send({ type: 'ready', modelRadius: game.modelRadius });
+				updateNetworkText();
+			} else {
+				startGame();
+			}
+			break;
+		}
+		case 'spawn':
+			if (recording) recordEvent(recording, 'spawn', event.target.index, ...event.target.position.toArray());
+			break;
+		case 'end': {
+			let notice = '';
+			if (recording) {
+				if (!finishRecording(recording, game.score.points)) notice = 'Best run not saved: storage is full';
+				recording = null;
+			}
+			setGhostRecording(ghost, null);
+			finishRoundStats(event.newRecord, event.reason, notice);
+			break;
+		}
+	}
+}
+
+// Keep and report the stats of the round that just ended, then show them on the
+// game over screen with a `notice` under them, if any
+function finishRoundStats(newRecord, reason, notice = '') {
+	const stats = { ...getRoundStats(game), online: network !== null };
+	const best = recordRoundStats(stats);
+	trackEvent('game_over', {
+		level: stats.level,
+		gameMode: stats.mode,
+		reason,
+		online: stats.online,
+		score: stats.points,
+		bestStreak: stats.bestStreak,
+		shots: stats.shots,
+		hits: stats.hits,
+		wrongColorHits: stats.wrongColorHits,
+		accuracy: Number(stats.accuracy.toFixed(3)),
+		averageHitTime: Number(stats.averageHitTime.toFixed(2)),
+		duration: Number(stats.duration.toFixed(1)),
+	});
+	updateTimerDisplay();
+	// An online round isn't compared with the personal best
+	endGame(newRecord, stats, stats.online ? null : best, reason, notice);
+}
+
+// Colors the blasters step through, co-op players only get their share
+function colorChoices() {
+	return network?.colors ?? msColors.map((_, i) => i);
+}
+
+// Lobby status before an online round, the scores during and after it
+function updateNetworkText() {
+	const { status, id, players } = getConnection();
+	networkText.visible = status === 'online';
+	if (!networkText.visible) return;
+
+	let text;
+	if (!network) {
+		const ready = players.filter((player) => player.ready).length;
+		text = `Waiting for players\n${ready}/${players.length} ready`;
+	} else {
+		const scores = network.players.map((playerId) => ({
+			name: playerId === id ? 'You' : (players.find((player) => player.id === playerId)?.name ?? 'Gone'),
+			points: network.scores[playerId]?.points ?? 0,
+		}));
+		const lines = scores.map(({ name, points }) => `${name} ${points}`);
+		if (network.mode === 'coop') {
+			const total = scores.reduce((sum, { points }) => sum + points, 0);
+			let heading = `Co-op ${total}/${network.goal}`;
+			if (network.ended) heading += total >= network.goal ? ' Goal reached!' : ' Goal missed';
+			text = [heading, ...lines].join('\n');
+		} else {
+			let heading = 'Versus';
+			if (network.ended) {
+				const best = Math.max(...scores.map(({ points }) => points));
+				const winners = scores.filter(({ points }) => points === best).map(({ name }) => name);
+				heading += winners.length > 1 ? ' - Draw' : ` - ${winners[0]} won`;
+			}
+			text = [heading, ...lines].join('\n');
+		}
+	}
+	if (networkText.text !== text) {
+		networkText.text = text;
+		networkText.sync();
+	}
+}
+
+// Avatars for everyone else in the lobby, side by side in lobby order
+function syncAvatars() {
+	const { id, players } = getConnection();
+	const ownSlot = Math.max(0, players.findIndex((player) => player.id === id));
+	players.forEach((player, slot) => {
+		if (player.id === id) return;
+		let avatar = avatars.get(player.id);
+		if (!avatar) {
+			avatar = createAvatar(player, msColors);
+			if (blasterModel) attachAvatarModel(avatar, blasterModel);
+			avatarGroup.add(avatar.group);
+			avatars.set(player.id, avatar);
+		}
+		placeAvatar(avatar, slot - ownSlot);
+	});
+	avatars.forEach((avatar, playerId) => {
+		if (players.some((player) => player.id === playerId)) return;
+		disposeAvatar(avatar);
+		avatars.delete(playerId);
+	});
+}
+
+// Play the relay's round, if we are in it (joining in the middle waits for the next one)
+function startNetworkRound(message, renderer) {
+	const { id } = getConnection();
+	if (!isPlaying(renderer) || !message.players.includes(id)) return;
+	network = {
+		mode: message.mode,
+		colors: message.colors[id],
+		goal: message.goal,
+		players: message.players,
+		scores: {},
+		shots: new Map(), // Bullets of the other players, by `${player}:${shot}`
+		ended: false,
+	};
+	clearTargets();
+	// The relay runs timed rounds
+	prepareGame(defineLevel(message.level), { seed: message.seed, remote: true, mode: getMode('timed') });
+	startRound(game);
+	trackEvent('game_start', { level: game.level.id, online: true, gameMode: game.mode.id, onlineMode: network.mode });
+	// Start on a color this player may fire
+	activeHands().forEach((hand) => {
+		const colorIndex = network.colors.includes(blasters[hand].colorIndex)
+			? blasters[hand].colorIndex
+			: network.colors[0];
+		setBlasterColor(blasters[hand], colorIndex, msColors[colorIndex]);
+		send({ type: 'color', hand, colorIndex });
+	});
+	updateColorIndicator(blasters[activeHands()[0]].colorIndex);
+	updateNetworkText();
+}
+
+// Back to a local arena when the session or the connection ends during an online round
+function leaveNetworkRound() {
+	network = null;
+	prepareGame();
+	updateNetworkText();
+}
+
+// Bullet of an online round by the relay's player and shot, or null
+function networkBullet(player, shot) {
+	const index = player === getConnection().id ? shot : network.shots.get(`${player}:${shot}`);
+	return game.bullets[index] ?? null;
+}
+
+// Relay messages, once per frame
+function handleNetworkMessage(message, renderer) {
+	switch (message.type) {
+		case 'lobby':
+			syncAvatars();
+			updateNetworkText();
+			break;
+		case 'start':
+			startNetworkRound(message, renderer);
+			break;
+		case 'state': {
+			if (!network) return;
+			if (game.state === GAME_STATE.PLAYING) {
+				applyTargets(game, message.targets);
+				game.timer = message.timer;
+			}
+			network.scores = message.scores;
+			const score = message.scores[getConnection().id];
+			if (score) {
+				Object.assign(game.score, score);
+				updateScoreDisplay();
+			}
+			Object.entries(message.scores).forEach(([playerId, { points }]) => {
+				const avatar = avatars.get(playerId);
+				if (avatar && avatar.score !== points) setAvatarScore(avatar, points);
+			});
+			updateNetworkText();
+			break;
+		}
+		case 'hit': {
+			const target = game.targets[message.target];
+			if (!network || !target) return;
+			const bullet = networkBullet(message.player, message.shot);
+			if (bullet) bullet.active = false;
+			if (!target.popping) {
+				target.popping = true;
+				target.popTime = 0;
+			}
+			const color = msColors[target.colorIndex];
+			emitBurst(effects, target.position, color, targetInstances.radius);
+			showScorePopup(effects, new THREE.Vector3().fromArray(message.point), message.points, color);
+			if (message.player === getConnection().id && bullet) {
+				playBlasterSound(blasters[bullet.hand].scoreSound);
+				countHit(game, bullet.colorIndex, target);
+			}
+			break;
+		}
+		case 'deflect': {
+			const bullet = network && networkBullet(message.player, message.shot);
+			if (!bullet) return;
+			const point = new THREE.Vector3().fromArray(message.point);
+			const normal = new THREE.Vector3().fromArray(message.normal);
+			emitDeflect(effects, point, normal, bullet.velocity, msColors[bullet.colorIndex]);
+			if (message.player === getConnection().id) countWrongColorHit(game, bullet.colorIndex);
+			break;
 		}
+		case 'fire': {
+			if (!network) return;
+			// Shots come from where the player's avatar stands
+			const avatar = avatars.get(message.player);
+			bulletOrigin.fromArray(message.origin);
+			if (avatar) bulletOrigin.add(avatar.group.position);
+			bulletDirection.fromArray(message.direction);
+			bulletQuaternion.setFromUnitVectors(forwardVector, bulletDirection);
+			const bullet = launchBullet(bulletOrigin, bulletDirection, bulletQuaternion, message.colorIndex, message.hand);
+			network.shots.set(`${message.player}:${message.shot}`, bullet.index);
+			if (avatar) setAvatarColor(avatar, message.hand, message.colorIndex);
+			break;
+		}
+		case 'pose': {
+			const avatar = avatars.get(message.player);
+			if (avatar) setAvatarPose(avatar, message);
+			break;
+		}
+		case 'color': {
+			const avatar = avatars.get(message.player);
+			if (avatar) setAvatarColor(avatar, message.hand, message.colorIndex);
+			break;
+		}
+		case 'end':
+			if (!network) return;
+			network.scores = message.scores;
+			network.ended = true;
+			// The round ends with the next step, as the relay's has
+			if (game.state === GAME_STATE.PLAYING) game.timer = 0;
+			updateNetworkText();
+			break;
+		case 'closed':
+			if (network) leaveNetworkRound();
+			syncAvatars();
+			updateNetworkText();
+			break;
+	}
+}
+
+// Send where we are to the other players every so often
+function sendPose(delta, camera, controllers) {
+	poseTimer -= delta;
+	if (poseTimer > 0) return;
+	poseTimer = 1 / POSE_RATE;
+	const { head, left, right } = playerPoses(camera, controllers);
+	send({
+		type: 'pose',
+		head: writePose(head),
+		left: left && writePose(left),
+		right: right && writePose(right),
+	});
+}
+
+// Play a decoded recording in the page: the round is rebuilt from its seed with
+// targets spawning where they did, and fed the recorded inputs
+function startReplay(recorded) {
+	const spawns = Array.from({ length: recorded.level.targets.count }, () => []);
+	recorded.events.forEach(([, type, index, ...position]) => {
+		if (type === 'spawn') spawns[index]?.push(position);
+	});
+	prepareRound(game, recorded.level, {
+		seed: recorded.seed,
+		mode: getMode(recorded.mode),
+		placeTarget: (target) => {
+			const position = spawns[target.index].shift();
+			if (position) target.position.fromArray(position);
+			return position !== undefined;
+		},
 	});
+	showNewRound();
+	startRound(game);
+	setGhostRecording(ghost, null);
+	setGhostRecording(replayGhost, recorded);
+	replay = { recording: recorded, frame: 0, nextEvent: 0, elapsed: 0, clock: 0 };
+}
+
+// Apply the recorded frames up to where the replay's clock is
+function advanceReplay(delta) {
+	const { recording: recorded } = replay;
+	const { steps, events } = recorded;
+	replay.clock += delta;
+	while (replay.frame < steps.length && replay.elapsed + steps[replay.frame] <= replay.clock) {
+		const frame = replay.frame;
+		for (; replay.nextEvent < events.length && events[replay.nextEvent][0] <= frame; replay.nextEvent++) {
+			const [, type, hand, colorIndex, ...ray] = events[replay.nextEvent];
+			if (type === 'fire') {
+				bulletOrigin.fromArray(ray, 0);
+				bulletDirection.fromArray(ray, 3);
+				bulletQuaternion.setFromUnitVectors(forwardVector, bulletDirection);
+				launchBullet(bulletOrigin, bulletDirection, bulletQuaternion, colorIndex, hand);
+			} else if (type === 'pause') {
+				pauseRound(game);
+			} else if (type === 'resume') {
+				resumeRound(game);
+			} else if (type === 'relocate') {
+				relocateTargets(game);
+			}
+		}
+
+		stepGame(game, steps[frame]);
+		updateTimerDisplay();
+		flushEvents(game, (event) => {
+			if (event.type === 'end') {
+				replay.frame = steps.length; // The round is over, stop here
+			} else {
+				handleGameEvent(event, {});
+			}
+		});
+		showGhostFrame(replayGhost, frame);
+		replay.elapsed += steps[frame];
+		replay.frame += 1;
+	}
+	if (replay.frame >= steps.length) endReplay();
+}
+
+// Draw this frame's bullets, effects and targets
+function drawGame(delta, camera) {
+	syncBulletPool(bulletPool, game.bullets);
+	if (game.state !== GAME_STATE.PAUSED) {
+		updateEffects(effects, delta, camera, bulletPool.bullets);
+	}
+	// Copy this frame's target movement and pop animations into the instances
+	syncTargets(delta, camera);
 }
 
 function onFrame(
 	delta,
 	_time,
-	{ scene, _camera, _renderer, _player, controllers },
+	{ camera, renderer, _player, controllers: xrControllers },
 ) {
-	// Update the timer if game is active
-	if (gameState === GAME_STATE.PLAYING) {
-		updateTimerDisplay(delta);
+	// A replay plays instead of the game until it ends, the camera is free to move
+	if (replay) {
+		advanceReplay(delta);
+		if (replay) drawGame(delta, camera);
+		return;
 	}
-	
-	if (controllers.right) {
-		const { gamepad, raySpace, mesh } = controllers.right;
+
+	// The relay's news, then our pose for the other players
+	flushMessages((message) => handleNetworkMessage(message, renderer));
+	const controllers = activeControllers(xrControllers);
+	if (isOnline() && isPlaying(renderer)) sendPose(delta, camera, controllers);
+	if (game.remote) smoothTargets(game, delta);
+	camera.getWorldPosition(viewerPosition);
+	avatars.forEach((avatar) => updateAvatar(avatar, delta, viewerPosition));
+
+	// Track the room in AR, targets move onto the first surfaces that are found
+	if (renderer.xr.isPresenting && room.session) {
+		const planesFound = updateRoom(room, renderer.xr.getFrame(), renderer.xr.getReferenceSpace());
+		if (planesFound && game.state === GAME_STATE.PLAYING) {
+			relocateTargets(game);
+			if (recording) recordEvent(recording, 'relocate');
+		}
+	}
+
+	// Hands in use hold a blaster, any other hand keeps its default controller mesh
+	const hands = activeHands();
+	const menuRays = {}; // Ray spaces pointing at the pause menu or settings panel
+	const menuClicks = {};
+	Object.entries(controllers).forEach(([hand, controller]) => {
+		const blaster = blasters[hand];
+		if (!controller || !blaster) return;
+		const { gamepad, raySpace, pointerSpace, mesh } = controller;
 		
 		// Initialize userData if it doesn't exist
 		if (!gamepad.userData) {
 			gamepad.userData = {};
 		}
-		
-		// Check joystick input for color cycling using correct methods
-		const xAxis = gamepad.getAxis(AXES.XR_STANDARD.THUMBSTICK_X);
-		
-		// Horizontal joystick movement detection
-		if (Math.abs(xAxis) > 0.7) { // Horizontal movement threshold
-			if (!gamepad.userData.colorChangeDebounce) {
-				// Change color based on joystick direction
-				if (xAxis > 0) {
-					currentColorIndex = (currentColorIndex + 1) % msColors.length;
-				} else {
-					currentColorIndex = (currentColorIndex - 1 + msColors.length) % msColors.length;
-				}
-				
-				// Update material color
-				projectileMaterial.color.setHex(msColors[currentColorIndex]);
-				gamepad.userData.colorChangeDebounce = true;
-				
-				// Update color indicator in the UI
-				const colorIndicator = document.getElementById('colorIndicator');
-				const colorName = document.getElementById('colorName');
-				if (colorIndicator) {
-					colorIndicator.style.background = '#' + msColors[currentColorIndex].toString(16).padStart(6, '0');
-				}
-				if (colorName) {
-					colorName.textContent = colorNames[currentColorIndex];
-				}
-				
-				// Add haptic feedback for color change
-				try {
-					gamepad.getHapticActuator(0).pulse(0.3, 50);
-				} catch {
-					// do nothing if haptic feedback not available
-				}
+
+		if (!hands.includes(hand)) {
+			if (blaster.group.parent) {
+				blaster.group.removeFromParent();
+				mesh.visible = true;
 			}
-		} else {
-			gamepad.userData.colorChangeDebounce = false;
+			return;
 		}
 
-		if (!raySpace.children.includes(blasterGroup)) {
-			raySpace.add(blasterGroup);
+		if (!raySpace.children.includes(blaster.group)) {
+			raySpace.add(blaster.group);
 			mesh.visible = false;
 		}
-		if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
-			try {
-				gamepad.getHapticActuator(0).pulse(0.6, 100);
-			} catch {
-				// do nothing
-			}
 
-			// Play laser sound
-			if (laserSound.isPlaying) laserSound.stop();
-			laserSound.play();
-
-			const bulletPrototype = blasterGroup.getObjectByName('bullet');
-			if (bulletPrototype) {
-				const bullet = bulletPrototype.clone();
-				scene.add(bullet);
-				bulletPrototype.getWorldPosition(bullet.position);
-				bulletPrototype.getWorldQuaternion(bullet.quaternion);
-
-				const directionVector = forwardVector
-					.clone()
-					.applyQuaternion(bullet.quaternion);
-				bullet.userData = {
-					velocity: directionVector.multiplyScalar(bulletSpeed),
-					timeToLive: bulletTimeToLive,
-				};
-				bullets[bullet.uuid] = bullet;
+		// On the screen the round can't go on without the pointer
+		if (gamepad.pointerReleased && game.state === GAME_STATE.PLAYING) {
+			pauseGame();
+		} else if (gamepad.getButtonClick(PAUSE_BUTTON)) {
+			if (game.state === GAME_STATE.PLAYING) {
+				pauseGame();
+			} else if (game.state === GAME_STATE.PAUSED) {
+				resumeGame();
 			}
 		}
-	}
 
-	Object.values(bullets).forEach((bullet) => {
-		if (bullet.userData.timeToLive < 0) {
-			delete bullets[bullet.uuid];
-			scene.remove(bullet);
-			return;
+		if (game.state === GAME_STATE.PAUSED) {
+			// The trigger picks a pause menu button instead of firing
+			menuRays[hand] = pointerSpace ?? raySpace;
+			menuClicks[hand] = gamepad.getButtonClick(XR_BUTTONS.TRIGGER);
+			closeColorWheel(blaster);
+		} else if (game.state === GAME_STATE.NEW_RECORD) {
+			// The stick and trigger type initials instead of playing
+			handleInitialsInput(gamepad);
+			closeColorWheel(blaster);
+		} else {
+			handleColorInput(blaster, gamepad);
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+				fireBlaster(blaster, gamepad);
+			}
 		}
-		const deltaVec = bullet.userData.velocity.clone().multiplyScalar(delta);
-		bullet.position.add(deltaVec);
-		bullet.userData.timeToLive -= delta;
-
-		// Check for restart sphere hit in game over state
-		if (gameState === GAME_STATE.GAME_OVER && restartSphere) {
-			const distanceToRestartSphere = restartSphere.position.distanceTo(bullet.position);
-			if (distanceToRestartSphere < 0.3) { // Sphere radius is 0.3
-				// Check if bullet color matches the restart sphere color (yellow)
-				const bulletColor = projectileMaterial.color.getHex();
-				const restartSphereColor = 0xFFB900; // Yellow color
-				
-				if (bulletColor === restartSphereColor) {
-					// Color match - restart the game!
-					delete bullets[bullet.uuid];
-					scene.remove(bullet);
-					
-					// Play score sound for feedback
-					if (scoreSound.isPlaying) scoreSound.stop();
-					scoreSound.play();
-					
-					// Vibration feedback
-					if (controllers.right && controllers.right.gamepad) {
-						try {
-							controllers.right.gamepad.getHapticActuator(0).pulse(0.8, 300);
-						} catch {
-							// do nothing if haptic feedback not available
-						}
-					}
-					
-					// Find and remove the gameOverUI from the scene directly
-					const gameOverUI = scene.getObjectByName('gameOverUI');
-					if (gameOverUI) {
-						scene.remove(gameOverUI);
-						console.log("Game over UI removed directly");
-					}
-					
-					prepareGame();
-					startGame();
-					return;
-				} else {
-					// Color mismatch - bullet passes through
-					// Optional: Add visual feedback that wrong color was used
-					console.log("Wrong color projectile used on restart sphere");
-				}
+		// Only tracked hands open the color menu (palm up)
+		updateBlasterColorMenu(blaster, gamepad.menuOpen === true);
+	});
+
+	if (!isPlaying(renderer) && isSettingsPanelOpen()) {
+		// Opened from the title card, pointed at with the mouse
+		pageRaycaster.setFromCamera(pageMouse, camera);
+		pageRay.position.copy(pageRaycaster.ray.origin);
+		pageRay.quaternion.setFromUnitVectors(forwardVector, pageRaycaster.ray.direction);
+		pageRay.updateMatrixWorld();
+		const picks = updateMenu(settingsPanel, camera, { right: pageRay });
+		if (pageClicked && picks.right) selectSettingsPanelButton(picks.right);
+	} else if (game.state === GAME_STATE.PAUSED) {
+		const settingsOpen = isSettingsPanelOpen();
+		const picks = updateMenu(settingsOpen ? settingsPanel : pauseMenu, camera, menuRays);
+		const clicked = Object.keys(menuClicks).find((hand) => menuClicks[hand] && picks[hand]);
+		if (clicked) {
+			pulse(controllers[clicked].gamepad, 0.6, 100);
+			if (settingsOpen) {
+				selectSettingsPanelButton(picks[clicked]);
+			} else {
+				selectPauseMenuButton(picks[clicked], renderer);
 			}
 		}
+	}
+	pageClicked = false;
+
+	// A recorded round steps by the float32 deltas it stores, so its replay steps exactly the same
+	const step = recording ? Math.fround(delta) : delta;
+	if (recording) recordFrame(recording, step, playerPoses(camera, controllers));
 
-		// Check for normal target hits during gameplay
-		if (gameState === GAME_STATE.PLAYING) {
-			targets
-				.filter((target) => target.visible)
-				.forEach((target) => {
-					const distance = target.position.distanceTo(bullet.position);
-					if (distance < 1) {
-						// Check if bullet color matches target color
-						const bulletColor = projectileMaterial.color.getHex();
-						const targetColor = target.material.color.getHex();
-						
-						if (bulletColor === targetColor) {
-							// Color match - successful hit!
-							delete bullets[bullet.uuid];
-							scene.remove(bullet);
-
-							gsap.to(target.scale, {
-								duration: 0.3,
-								x: 0,
-								y: 0,
-								z: 0,
-								onComplete: () => {
-									target.visible = false;
-									setTimeout(() => {
-										target.visible = true;
-										
-										// Respawn in a new position around the player in 360 degrees
-										const angle = Math.random() * Math.PI * 2;
-										const horizontalRadius = 7 + (Math.random() * 4); // 7-11 units away
-										const height = (Math.random() * 4) - 2 + 1.6; // Between -0.4 and 3.6
-										
-										target.position.set(
-											Math.sin(angle) * horizontalRadius,
-											height,
-											Math.cos(angle) * horizontalRadius
-										);
-										
-										// Assign a random color from the colors
-										const randomColor = msColors[Math.floor(Math.random() * msColors.length)];
-										target.material.color.setHex(randomColor);
-
-										// Scale back up the target
-										gsap.to(target.scale, {
-											duration: 0.3,
-											x: 1,
-											y: 1,
-											z: 1,
-										});
-									}, 1000);
-								},
-							});
-
-							score += 1; // Change from 10 to 1 point per hit
-							updateScoreDisplay();
-							if (scoreSound.isPlaying) scoreSound.stop();
-							scoreSound.play();
-							
-							// Optional: Add a "miss" effect or feedback here
-						} else {
-							// Color mismatch - bullet passes through
-							// Optional: Add a "miss" effect or feedback here
-						}
-					}
-				});
+	// Timer, targets and bullets move on, everything holds still while paused
+	if (game.state !== GAME_STATE.PAUSED) {
+		stepGame(game, step);
+		if (game.state === GAME_STATE.PLAYING) {
+			updateTimerDisplay();
+			updatePowerUpDisplay();
 		}
-	});
-	gsap.ticker.tick(delta);
+		flushEvents(game, (event) => handleGameEvent(event, controllers));
+		updateGhost(ghost, game.elapsed);
+	}
+	if (screenController()) {
+		const { mode } = game;
+		updateHud(hud, {
+			timer: mode.timer ? game.timer : null,
+			lives: mode.lives > 0 ? { left: game.lives, max: mode.lives } : null,
+			score: mode.scored ? game.score : null,
+			powerUps: powerUpText(),
+			status: hudStatus(),
+		});
+	}
+
+	drawGame(delta, camera);
 }
 
 init(setupScene, onFrame);
@@ -7,19 +7,38 @@
 
 import * as THREE from 'three';
 
+import { DEFAULT_PORT, MULTIPLAYER_MODES } from './netProtocol.js';
+import { MODES, getMode } from './modes.js';
+import { SPACE_BACKGROUND, createEnvironment, loadEnvironment } from './environment.js';
 import { XRDevice, metaQuest3 } from 'iwer';
+import { addCustomLevel, getLevels, getPlayedLevel } from './levels.js';
+import { connect, disconnect, getConnection, isHost, onConnectionChange, send } from './multiplayer.js';
+import { decodeRecording, endReplay, getLastRecording, onRecordingEvent, requestReplay } from './recording.js';
+import { getDesktopController, initDesktop, isDesktopActive, onDesktopChange, startDesktop } from './desktop.js';
+import { getDeviceName, trackError, trackEvent } from './analytics.js';
+import { getHighScores, onHighScoresChange } from './highscores.js';
+import { getSetting, onSettingChange, setSetting } from './settings.js';
+import { getTouchController, initTouch, isTouchActive } from './touch.js';
+import { onSettingsPanelChange, setSettingsPanelOpen } from './settingsPanel.js';
 
 import { DevUI } from '@iwer/devui';
 import { GamepadWrapper } from 'gamepad-wrapper';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { PALETTES } from './palettes.js';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
+import { createHandGamepad } from './hands.js';
 
 export async function init(setupScene = () => {}, onFrame = () => {}) {
 	// iwer setup
 	let nativeWebXRSupport = false;
 	if (navigator.xr) {
-		nativeWebXRSupport = await navigator.xr.isSessionSupported('immersive-ar');
+		const [arSupported, vrSupported] = await Promise.all([
+			navigator.xr.isSessionSupported('immersive-ar'),
+			navigator.xr.isSessionSupported('immersive-vr'),
+		]);
+		nativeWebXRSupport = arSupported || vrSupported;
 	}
 	if (!nativeWebXRSupport) {
 		const xrDevice = new XRDevice(metaQuest3);
@@ -41,6 +60,32 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 			-0.0037767395842820406,
 			0.9887216687202454,
 		);
+		xrDevice.hands.right.position.set(0.15649, 1.43474, -0.38368);
+		xrDevice.hands.left.position.set(-0.15649, 1.43474, -0.38368);
+
+		// Emulate bare hands with ?hands in the URL: hold Space to pinch with the
+		// right hand, Q/E roll its wrist to flick through the colors
+		if (new URLSearchParams(window.location.search).has('hands')) {
+			xrDevice.primaryInputMode = 'hand';
+			const rollAxis = new THREE.Vector3(0, 0, 1);
+			window.addEventListener('keydown', (event) => {
+				const hand = xrDevice.hands.right;
+				if (event.code === 'Space') {
+					hand.updatePinchValue(1);
+				} else if (event.code === 'KeyQ' || event.code === 'KeyE') {
+					const { x, y, z, w } = hand.quaternion;
+					const roll = new THREE.Quaternion().setFromAxisAngle(
+						rollAxis,
+						event.code === 'KeyE' ? -Math.PI / 2 : Math.PI / 2,
+					);
+					const rotated = new THREE.Quaternion(x, y, z, w).multiply(roll);
+					hand.quaternion.set(rotated.x, rotated.y, rotated.z, rotated.w);
+				}
+			});
+			window.addEventListener('keyup', (event) => {
+				if (event.code === 'Space') xrDevice.hands.right.updatePinchValue(0);
+			});
+		}
 		new DevUI(xrDevice);
 	}
 
@@ -96,12 +141,14 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 						const referenceSpace = await session.requestReferenceSpace(type);
 						renderer.xr.setReferenceSpace(referenceSpace);
 						console.log(`Successfully set alternative reference space: ${type}`);
+						trackError('reference_space', error, { fallback: type });
 						return;
 					} catch (e) {
 						console.warn(`Failed to get reference space ${type}:`, e);
 					}
 				}
 				
+				trackError('reference_space', error, { fallback: 'none' });
 				alert('Unable to establish any reference space. AR may not work properly.');
 			} else {
 				// Re-throw other errors
@@ -121,11 +168,16 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 	const pmremGenerator = new THREE.PMREMGenerator(renderer);
 	scene.environment = pmremGenerator.fromScene(environment).texture;
 
+	// Space station arena, only shown in VR
+	const vrEnvironment = createEnvironment();
+	scene.add(vrEnvironment.group);
+
 	const player = new THREE.Group();
 	scene.add(player);
 	player.add(camera);
 
 	const controllerModelFactory = new XRControllerModelFactory();
+	const handModelFactory = new XRHandModelFactory();
 	const controllers = {
 		left: null,
 		right: null,
@@ -135,13 +187,29 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 		const gripSpace = renderer.xr.getControllerGrip(i);
 		const mesh = controllerModelFactory.createControllerModel(gripSpace);
 		gripSpace.add(mesh);
-		player.add(raySpace, gripSpace);
+		const handSpace = renderer.xr.getHand(i);
+		const handMesh = handModelFactory.createHandModel(handSpace, 'mesh');
+		handSpace.add(handMesh);
+		player.add(raySpace, gripSpace, handSpace);
 		raySpace.visible = false;
 		gripSpace.visible = false;
 		gripSpace.addEventListener('connected', (e) => {
+			// Screen taps on a phone come and go with each touch, touch.js handles them
+			if (e.data.targetRayMode === 'screen') return;
+			const handedness = e.data.handedness;
+			if (e.data.hand) {
+				// Tracked hand: gestures stand in for the gamepad, aiming follows the index finger
+				const gamepad = createHandGamepad(handSpace, handedness);
+				controllers[handedness] = {
+					raySpace: gamepad.aimSpace,
+					gripSpace,
+					mesh: handMesh,
+					gamepad,
+				};
+				return;
+			}
 			raySpace.visible = true;
 			gripSpace.visible = true;
-			const handedness = e.data.handedness;
 			controllers[handedness] = {
 				raySpace,
 				gripSpace,
@@ -150,6 +218,7 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 			};
 		});
 		gripSpace.addEventListener('disconnected', (e) => {
+			if (e.data.targetRayMode === 'screen') return;
 			raySpace.visible = false;
 			gripSpace.visible = false;
 			const handedness = e.data.handedness;
@@ -166,6 +235,10 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 
 	window.addEventListener('resize', onWindowResize);
 
+	// Mouse and keyboard play on the screen, see desktop.js, and taps on a phone, see touch.js
+	initDesktop(camera, renderer.domElement);
+	initTouch(renderer, player);
+
 	const globals = {
 		scene,
 		camera,
@@ -176,6 +249,9 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 
 	setupScene(globals);
 
+	const spaceBackground = new THREE.Color(SPACE_BACKGROUND);
+	let sessionMode = null; // Mode of the running session, XRSession doesn't expose it
+
 	const clock = new THREE.Clock();
 	function animate() {
 		const delta = clock.getDelta();
@@ -185,17 +261,24 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 				controller.gamepad.update();
 			}
 		});
+		if (isDesktopActive()) getDesktopController().gamepad.update();
+		if (isTouchActive()) getTouchController().gamepad.update();
 		onFrame(delta, time, globals);
 		
-		// Simplified session check focused only on AR mode
 		if (renderer.xr.isPresenting) {
-			const session = renderer.xr.getSession();
 			// When in AR mode, make scene background transparent
-			if (session.mode === 'immersive-ar') {
+			if (sessionMode === 'immersive-ar') {
 				scene.background = null;
 				renderer.setClearColor(0x000000, 0); // Transparent background
 				scene.fog = null; // Disable fog in AR mode
+			} else if (sessionMode === 'immersive-vr') {
+				// VR has no passthrough, draw space behind the station
+				scene.background = spaceBackground;
+				scene.fog = null;
 			}
+		} else if (isDesktopActive()) {
+			// On the screen the game is played on the space station
+			scene.background = spaceBackground;
 		} else {
 			// When not in AR, use black background
 			scene.background = new THREE.Color(0x000000);
@@ -233,72 +316,160 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 		}
 	});
 
-	// Add start button with AR functionality
-	const startButton = document.createElement('button');
-	startButton.textContent = 'Start';
-	startButton.style.fontSize = '1.4rem';
-	startButton.style.padding = '0.8rem 4rem';
-	startButton.style.border = '2px solid white';
-	startButton.style.borderRadius = '8px';
-	startButton.style.background = 'transparent';
-	startButton.style.color = 'white';
-	startButton.style.cursor = 'pointer';
-	startButton.style.transition = 'all 0.3s ease';
-	startButton.style.marginBottom = '1rem';
-	startButton.style.fontWeight = 'bold';
-	startButton.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
-
-	// Add hover effects for start button
-	startButton.onmouseenter = () => {
-		startButton.style.background = 'white';
-		startButton.style.color = 'black';
-	};
-	startButton.onmouseleave = () => {
-		startButton.style.background = 'transparent';
-		startButton.style.color = 'white';
-	};
+	// Add start buttons, one per session mode
+	function createStartButton(label) {
+		const button = document.createElement('button');
+		button.textContent = label;
+		button.style.fontSize = '1.4rem';
+		button.style.padding = '0.8rem 3rem';
+		button.style.border = '2px solid white';
+		button.style.borderRadius = '8px';
+		button.style.background = 'transparent';
+		button.style.color = 'white';
+		button.style.cursor = 'pointer';
+		button.style.transition = 'all 0.3s ease';
+		button.style.fontWeight = 'bold';
+		button.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
+
+		// Add hover effects for start button
+		button.onmouseenter = () => {
+			if (button.disabled) return;
+			button.style.background = 'white';
+			button.style.color = 'black';
+		};
+		button.onmouseleave = () => {
+			button.style.background = 'transparent';
+			button.style.color = 'white';
+		};
+		return button;
+	}
+
+	const startButtons = document.createElement('div');
+	startButtons.style.display = 'flex';
+	startButtons.style.justifyContent = 'center';
+	startButtons.style.gap = '1rem';
+	startButtons.style.marginBottom = '1rem';
+
+	const sessionModes = [
+		{
+			label: 'AR',
+			mode: 'immersive-ar',
+			// Passthrough: play in your own room
+			optionalFeatures: [
+				'dom-overlay',
+				'hand-tracking',
+				'hit-test',
+				'anchors',
+				'plane-detection',
+				'local',
+				'local-floor',
+				'bounded-floor',
+				'viewer'
+			],
+		},
+		{
+			label: 'VR',
+			mode: 'immersive-vr',
+			// Fully immersive: play on the space station
+			optionalFeatures: [
+				'hand-tracking',
+				'local',
+				'local-floor',
+				'bounded-floor',
+				'viewer'
+			],
+		},
+	];
 
-	// Add AR functionality to start button
 	let currentSession = null;
-	startButton.addEventListener('click', async () => {
-		if (currentSession === null) {
-			// Configuration for AR session
-			const sessionInit = {
-				optionalFeatures: [
-					'dom-overlay',
-					'hit-test',
-					'anchors',
-					'plane-detection',
-					'local',
-					'local-floor',
-					'bounded-floor',
-					'viewer'
-				],
-				domOverlay: { root: document.body }
-			};
+	async function startSession({ label, mode, optionalFeatures }) {
+		if (currentSession !== null) {
+			// End session if one exists
+			await currentSession.end();
+			return;
+		}
 
-			try {
-				// Request AR session
-				const session = await navigator.xr.requestSession('immersive-ar', sessionInit);
-				await renderer.xr.setSession(session);
-				currentSession = session;
-				
-				// Hide the title card when entering AR
-				titleCard.style.display = 'none';
+		const sessionInit = { optionalFeatures };
+		if (optionalFeatures.includes('dom-overlay')) {
+			sessionInit.domOverlay = { root: document.body };
+		}
 
-				session.addEventListener('end', () => {
-					currentSession = null;
-					titleCard.style.display = 'flex';
-					console.log('AR session ended');
+		try {
+			if (mode === 'immersive-vr') {
+				// The station streams in while the session starts, the game doesn't wait for it
+				loadEnvironment(vrEnvironment).catch((error) => {
+					console.error('Error loading space station:', error);
+					trackError('asset', error, { asset: 'assets/spacestation.glb' });
 				});
-
-			} catch (error) {
-				console.error('Error starting AR session:', error);
-				alert('Failed to start AR: ' + error.message);
 			}
-		} else {
-			// End session if one exists
-			await currentSession.end();
+			vrEnvironment.group.visible = mode === 'immersive-vr';
+
+			const session = await navigator.xr.requestSession(mode, sessionInit);
+			sessionMode = mode;
+			await renderer.xr.setSession(session);
+			currentSession = session;
+			trackEvent('session_start', {
+				mode: label,
+				device: getDeviceName(),
+				emulated: !nativeWebXRSupport,
+			});
+			
+			// Hide the title card when entering XR
+			titleCard.style.display = 'none';
+
+			session.addEventListener('end', () => {
+				currentSession = null;
+				sessionMode = null;
+				vrEnvironment.group.visible = false;
+				titleCard.style.display = 'flex';
+				console.log(`${label} session ended`);
+			});
+
+		} catch (error) {
+			sessionMode = null;
+			vrEnvironment.group.visible = false;
+			console.error(`Error starting ${label} session:`, error);
+			trackError('session_start', error, { mode: label });
+			alert(`Failed to start ${label}: ` + error.message);
+		}
+	}
+
+	sessionModes.forEach((option) => {
+		const button = createStartButton(option.label);
+		button.addEventListener('click', () => startSession(option));
+		startButtons.appendChild(button);
+
+		// Grey out modes the browser can't run
+		navigator.xr?.isSessionSupported(option.mode).then((supported) => {
+			if (supported) return;
+			button.disabled = true;
+			button.style.opacity = '0.4';
+			button.style.cursor = 'not-allowed';
+			button.title = `${option.label} is not supported on this device`;
+		});
+	});
+
+	// Desktop play works in any browser, with the mouse looking around instead of the orbit controls
+	const desktopButton = createStartButton('Desktop');
+	desktopButton.addEventListener('click', () => {
+		loadEnvironment(vrEnvironment).catch((error) => {
+			console.error('Error loading space station:', error);
+			trackError('asset', error, { asset: 'assets/spacestation.glb' });
+		});
+		startDesktop();
+		trackEvent('session_start', { mode: 'Desktop', device: getDeviceName(), emulated: false });
+	});
+	startButtons.appendChild(desktopButton);
+
+	onDesktopChange((active) => {
+		controls.enabled = !active;
+		vrEnvironment.group.visible = active;
+		titleCard.style.display = active ? 'none' : 'flex';
+		if (!active) {
+			// Back to the orbit view of the arena
+			camera.position.set(0, 1.6, 3);
+			controls.target.set(0, 1.6, 0);
+			controls.update();
 		}
 	});
 
@@ -316,7 +487,9 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 	titleCard.style.background = 'rgba(0, 0, 0, 0.9)';
 	titleCard.style.boxShadow = '0 8px 32px rgba(0, 0, 0, 0.3)';
 	titleCard.style.width = '500px';
-	titleCard.style.height = '500px';
+	titleCard.style.height = '1100px';
+	titleCard.style.maxHeight = '95vh';
+	titleCard.style.overflowY = 'auto';
 	titleCard.style.border = '2px solid rgba(255, 255, 255, 0.8)';
 	titleCard.style.display = 'flex';
 	titleCard.style.flexDirection = 'column';
@@ -350,11 +523,429 @@ export async function init(setupScene = () => {}, onFrame = () => {}) {
 	controlDiagram.style.display = 'block';
 	controlDiagram.style.margin = '-65px auto -1.5rem auto';
 
+	// Add difficulty picker, one button per level plus a custom level loader
+	const difficultyPicker = document.createElement('div');
+	difficultyPicker.style.display = 'flex';
+	difficultyPicker.style.flexWrap = 'wrap';
+	difficultyPicker.style.justifyContent = 'center';
+	difficultyPicker.style.gap = '0.5rem';
+	difficultyPicker.style.marginBottom = '1rem';
+
+	function createPickerButton(label) {
+		const button = document.createElement('button');
+		button.textContent = label;
+		button.style.fontSize = '1rem';
+		button.style.padding = '0.4rem 1.2rem';
+		button.style.border = '2px solid white';
+		button.style.borderRadius = '8px';
+		button.style.background = 'transparent';
+		button.style.color = 'white';
+		button.style.cursor = 'pointer';
+		button.style.fontWeight = 'bold';
+		return button;
+	}
+
+	// Custom levels are JSON files in the level format described in levels.js
+	const levelFileInput = document.createElement('input');
+	levelFileInput.type = 'file';
+	levelFileInput.accept = 'application/json,.json';
+	levelFileInput.style.display = 'none';
+	levelFileInput.addEventListener('change', async () => {
+		const [file] = levelFileInput.files;
+		levelFileInput.value = '';
+		if (!file) return;
+		try {
+			addCustomLevel(JSON.parse(await file.text()));
+			renderDifficultyPicker();
+		} catch (error) {
+			console.error('Error loading custom level:', error);
+			alert('Failed to load level: ' + error.message);
+		}
+	});
+
+	function renderDifficultyPicker() {
+		difficultyPicker.replaceChildren(levelFileInput);
+		const selectedLevel = getSetting('level');
+		getLevels().forEach((level) => {
+			const button = createPickerButton(level.name);
+			if (level.id === selectedLevel) {
+				button.style.background = 'white';
+				button.style.color = 'black';
+			}
+			button.addEventListener('click', () => setSetting('level', level.id));
+			difficultyPicker.appendChild(button);
+		});
+		const customButton = createPickerButton('Custom…');
+		customButton.addEventListener('click', () => levelFileInput.click());
+		difficultyPicker.appendChild(customButton);
+	}
+
+	renderDifficultyPicker();
+
+	// Add game mode picker, with a line on how the selected mode plays
+	const modePicker = document.createElement('div');
+	modePicker.style.display = 'flex';
+	modePicker.style.flexWrap = 'wrap';
+	modePicker.style.justifyContent = 'center';
+	modePicker.style.gap = '0.5rem';
+	modePicker.style.marginBottom = '1rem';
+
+	function renderModePicker() {
+		modePicker.replaceChildren();
+		const selectedMode = getMode(getSetting('mode'));
+		MODES.forEach((mode) => {
+			const button = createPickerButton(mode.name);
+			button.style.fontSize = '0.85rem';
+			if (mode.id === selectedMode.id) {
+				button.style.background = 'white';
+				button.style.color = 'black';
+			}
+			button.addEventListener('click', () => setSetting('mode', mode.id));
+			modePicker.appendChild(button);
+		});
+		const description = document.createElement('div');
+		description.textContent = selectedMode.description;
+		description.style.width = '100%';
+		description.style.fontSize = '0.75rem';
+		description.style.color = '#aaa';
+		modePicker.appendChild(description);
+	}
+
+	renderModePicker();
+
+	// Add handedness picker, the blaster goes in the right, left or both hands
+	const handPicker = document.createElement('div');
+	handPicker.style.display = 'flex';
+	handPicker.style.justifyContent = 'center';
+	handPicker.style.gap = '0.5rem';
+	handPicker.style.marginBottom = '1rem';
+
+	const handOptions = [
+		{ id: 'left', name: 'Left Hand' },
+		{ id: 'right', name: 'Right Hand' },
+		{ id: 'dual', name: 'Dual Wield' },
+	];
+
+	function renderHandPicker() {
+		handPicker.replaceChildren();
+		const handedness = getSetting('handedness');
+		handOptions.forEach((option) => {
+			const button = createPickerButton(option.name);
+			button.style.fontSize = '0.85rem';
+			if (option.id === handedness) {
+				button.style.background = 'white';
+				button.style.color = 'black';
+			}
+			button.addEventListener('click', () => setSetting('handedness', option.id));
+			handPicker.appendChild(button);
+		});
+	}
+
+	renderHandPicker();
+
+	// Add color palette picker, with a toggle for the symbols that tell colors apart by shape
+	const palettePicker = document.createElement('div');
+	palettePicker.style.display = 'flex';
+	palettePicker.style.flexWrap = 'wrap';
+	palettePicker.style.justifyContent = 'center';
+	palettePicker.style.gap = '0.5rem';
+	palettePicker.style.marginBottom = '1rem';
+
+	function renderPalettePicker() {
+		palettePicker.replaceChildren();
+		const selectedPalette = getSetting('palette');
+		PALETTES.forEach((palette) => {
+			const button = createPickerButton(palette.name);
+			button.style.fontSize = '0.85rem';
+			if (palette.id === selectedPalette) {
+				button.style.background = 'white';
+				button.style.color = 'black';
+			}
+			button.addEventListener('click', () => setSetting('palette', palette.id));
+			palettePicker.appendChild(button);
+		});
+		const symbols = getSetting('symbols');
+		const symbolsButton = createPickerButton(`Symbols ${symbols ? 'On' : 'Off'}`);
+		symbolsButton.style.fontSize = '0.85rem';
+		if (symbols) {
+			symbolsButton.style.background = 'white';
+			symbolsButton.style.color = 'black';
+		}
+		symbolsButton.addEventListener('click', () => setSetting('symbols', !symbols));
+		palettePicker.appendChild(symbolsButton);
+	}
+
+	renderPalettePicker();
+
+	// Add replay controls: the ghost of the best run, watching a recording and saving the last round
+	const replayPicker = document.createElement('div');
+	replayPicker.style.display = 'flex';
+	replayPicker.style.flexWrap = 'wrap';
+	replayPicker.style.justifyContent = 'center';
+	replayPicker.style.gap = '0.5rem';
+	replayPicker.style.marginBottom = '1rem';
+
+	// Recordings are the JSON files saved with "Save Last Round" (see recording.js)
+	const recordingFileInput = document.createElement('input');
+	recordingFileInput.type = 'file';
+	recordingFileInput.accept = 'application/json,.json';
+	recordingFileInput.style.display = 'none';
+	recordingFileInput.addEventListener('change', async () => {
+		const [file] = recordingFileInput.files;
+		recordingFileInput.value = '';
+		if (!file) return;
+		try {
+			requestReplay(decodeRecording(JSON.parse(await file.text())));
+		} catch (error) {
+			console.error('Error loading recording:', error);
+			alert('Failed to load recording: ' + error.message);
+		}
+	});
+
+	function renderReplayPicker() {
+		replayPicker.replaceChildren(recordingFileInput);
+		const ghost = getSetting('ghost');
+		const ghostButton = createPickerButton(`Ghost ${ghost ? 'On' : 'Off'}`);
+		ghostButton.style.fontSize = '0.85rem';
+		if (ghost) {
+			ghostButton.style.background = 'white';
+			ghostButton.style.color = 'black';
+		}
+		ghostButton.addEventListener('click', () => setSetting('ghost', !ghost));
+		replayPicker.appendChild(ghostButton);
+
+		const watchButton = createPickerButton('Watch Replay…');
+		watchButton.style.fontSize = '0.85rem';
+		watchButton.addEventListener('click', () => recordingFileInput.click());
+		replayPicker.appendChild(watchButton);
+
+		const lastRecording = getLastRecording();
+		const saveButton = createPickerButton('Save Last Round');
+		saveButton.style.fontSize = '0.85rem';
+		saveButton.disabled = !lastRecording;
+		saveButton.style.opacity = lastRecording ? '1' : '0.4';
+		saveButton.addEventListener('click', () => {
+			const blob = new Blob([JSON.stringify(lastRecording)], { type: 'application/json' });
+			const link = document.createElement('a');
+			link.href = URL.createObjectURL(blob);
+			link.download = `dreampop-${lastRecording.level.id}-${lastRecording.score}.json`;
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(link.href)); // After the download has started
+		});
+		replayPicker.appendChild(saveButton);
+	}
+
+	renderReplayPicker();
+
+	// Add multiplayer controls: the relay to join (see scripts/relay.js) and the mode of its rounds
+	const multiplayerPicker = document.createElement('div');
+	multiplayerPicker.style.display = 'flex';
+	multiplayerPicker.style.flexWrap = 'wrap';
+	multiplayerPicker.style.justifyContent = 'center';
+	multiplayerPicker.style.alignItems = 'center';
+	multiplayerPicker.style.gap = '0.5rem';
+	multiplayerPicker.style.marginBottom = '1rem';
+
+	const relayInput = document.createElement('input');
+	relayInput.type = 'text';
+	relayInput.value = `ws://${window.location.hostname || 'localhost'}:${DEFAULT_PORT}`;
+	relayInput.style.fontSize = '0.85rem';
+	relayInput.style.padding = '0.4rem';
+	relayInput.style.width = '12rem';
+	relayInput.style.border = '2px solid white';
+	relayInput.style.borderRadius = '8px';
+	relayInput.style.background = 'transparent';
+	relayInput.style.color = 'white';
+
+	const multiplayerStatus = document.createElement('div');
+	multiplayerStatus.style.flexBasis = '100%';
+	multiplayerStatus.style.fontSize = '0.85rem';
+	multiplayerStatus.style.opacity = '0.8';
+
+	function renderMultiplayerPicker() {
+		const connection = getConnection();
+		multiplayerPicker.replaceChildren();
+		if (connection.status === 'offline') {
+			const connectButton = createPickerButton('Play Online');
+			connectButton.style.fontSize = '0.85rem';
+			connectButton.addEventListener('click', () => connect(relayInput.value.trim(), getSetting('initials')));
+			multiplayerPicker.append(relayInput, connectButton);
+			multiplayerStatus.textContent = connection.error ?? 'Single player';
+			multiplayerPicker.appendChild(multiplayerStatus);
+			return;
+		}
+
+		MULTIPLAYER_MODES.forEach((mode) => {
+			const button = createPickerButton(mode.name);
+			button.style.fontSize = '0.85rem';
+			if (mode.id === connection.mode) {
+				button.style.background = 'white';
+				button.style.color = 'black';
+			}
+			// Only the host picks, the others see what was picked
+			if (isHost()) {
+				button.addEventListener('click', () => send({ type: 'setup', mode: mode.id }));
+			} else {
+				button.disabled = true;
+				button.style.cursor = 'default';
+			}
+			multiplayerPicker.appendChild(button);
+		});
+		const leaveButton = createPickerButton('Leave');
+		leaveButton.style.fontSize = '0.85rem';
+		leaveButton.addEventListener('click', () => disconnect());
+		multiplayerPicker.appendChild(leaveButton);
+
+		if (connection.status === 'connecting') {
+			multiplayerStatus.textContent = 'Connecting…';
+		} else {
+			const names = connection.players.map(({ id, name, ready }) => {
+				const host = id === connection.host ? `${name} (host)` : name;
+				return ready ? `${host} (ready)` : host;
+			});
+			multiplayerStatus.textContent = `${connection.level?.name ?? ''}: ${names.join(', ')}`;
+		}
+		multiplayerPicker.appendChild(multiplayerStatus);
+	}
+
+	renderMultiplayerPicker();
+	onConnectionChange(renderMultiplayerPicker);
+
+	// Shown instead of the title card while a replay plays, drag to look around
+	const stopReplayButton = createStartButton('Stop Replay');
+	stopReplayButton.style.position = 'fixed';
+	stopReplayButton.style.top = '20px';
+	stopReplayButton.style.left = '50%';
+	stopReplayButton.style.transform = 'translateX(-50%)';
+	stopReplayButton.style.zIndex = '1000';
+	stopReplayButton.style.display = 'none';
+	stopReplayButton.addEventListener('click', () => endReplay());
+	document.body.appendChild(stopReplayButton);
+
+	onRecordingEvent((event) => {
+		if (event.type === 'finished') {
+			renderReplayPicker();
+		} else if (event.type === 'replay') {
+			titleCard.style.display = 'none';
+			stopReplayButton.style.display = 'block';
+		} else if (event.type === 'replayEnd') {
+			titleCard.style.display = 'flex';
+			stopReplayButton.style.display = 'none';
+		}
+	});
+
+	// Add high-score table for the selected level
+	const leaderboard = document.createElement('div');
+	leaderboard.style.fontFamily = 'monospace';
+	leaderboard.style.fontSize = '0.9rem';
+	leaderboard.style.lineHeight = '1.4';
+	leaderboard.style.marginBottom = '1rem';
+	leaderboard.style.minHeight = '7rem';
+
+	function renderLeaderboard() {
+		const mode = getMode(getSetting('mode'));
+		const level = getPlayedLevel();
+		const highScores = getHighScores(level.id, mode.id, level.roundLength).slice(0, 5);
+		const heading = document.createElement('div');
+		heading.textContent = mode.id === 'timed' ? 'Top Scores' : `Top Scores - ${mode.name}`;
+		heading.style.fontWeight = 'bold';
+		heading.style.color = '#00A4EF';
+		leaderboard.replaceChildren(heading);
+
+		if (highScores.length === 0) {
+			const empty = document.createElement('div');
+			empty.textContent = mode.scored ? 'No scores yet' : `${mode.name} keeps no scores`;
+			empty.style.opacity = '0.6';
+			leaderboard.appendChild(empty);
+			return;
+		}
+		highScores.forEach((entry, i) => {
+			const row = document.createElement('div');
+			row.style.whiteSpace = 'pre';
+			const date = new Date(entry.date).toLocaleDateString();
+			row.textContent = `${i + 1}. ${entry.initials} ${`${entry.score}`.padStart(5, ' ')}  ${date}`;
+			leaderboard.appendChild(row);
+		});
+	}
+
+	renderLeaderboard();
+	onHighScoresChange(renderLeaderboard);
+
+	// Add the consent toggle for play analytics, off until the player turns it on
+	const consentPicker = document.createElement('div');
+	consentPicker.style.display = 'flex';
+	consentPicker.style.alignItems = 'center';
+	consentPicker.style.justifyContent = 'center';
+	consentPicker.style.gap = '0.5rem';
+	consentPicker.style.marginBottom = '1rem';
+	consentPicker.style.fontSize = '0.75rem';
+	consentPicker.style.color = '#aaa';
+
+	function renderConsentPicker() {
+		const consent = getSetting('analytics');
+		const consentButton = createPickerButton(`Share Play Stats ${consent ? 'On' : 'Off'}`);
+		consentButton.style.fontSize = '0.85rem';
+		if (consent) {
+			consentButton.style.background = 'white';
+			consentButton.style.color = 'black';
+		}
+		consentButton.addEventListener('click', () => setSetting('analytics', !consent));
+		const note = document.createElement('span');
+		note.textContent = 'Anonymous scores, accuracy and device type';
+		consentPicker.replaceChildren(consentButton, note);
+	}
+
+	renderConsentPicker();
+
+	// The rest of the settings are on the 3D panel, pointed at with the mouse
+	const settingsRow = document.createElement('div');
+	settingsRow.style.marginBottom = '1rem';
+	const settingsButton = createPickerButton('More Settings');
+	settingsButton.addEventListener('click', () => setSettingsPanelOpen(true));
+	settingsRow.appendChild(settingsButton);
+
+	onSettingsPanelChange((open) => {
+		if (renderer.xr.isPresenting || isDesktopActive()) return;
+		titleCard.style.display = open ? 'none' : 'flex';
+	});
+
+	onSettingChange((key) => {
+		if (key === 'level') {
+			renderDifficultyPicker();
+			renderLeaderboard();
+			// Online, the host's picked level is played in the relay's next round
+			if (isHost()) send({ type: 'setup', level: getPlayedLevel() });
+		} else if (key === 'roundLength') {
+			renderLeaderboard();
+			if (isHost()) send({ type: 'setup', level: getPlayedLevel() });
+		} else if (key === 'mode') {
+			renderModePicker();
+			renderLeaderboard();
+		} else if (key === 'handedness') {
+			renderHandPicker();
+		} else if (key === 'palette' || key === 'symbols') {
+			renderPalettePicker();
+		} else if (key === 'ghost') {
+			renderReplayPicker();
+		} else if (key === 'analytics') {
+			renderConsentPicker();
+		}
+	});
+
 	// Assemble title card
 	titleCard.appendChild(titleImage);
 	titleCard.appendChild(gameInstructions);
 	titleCard.appendChild(controlDiagram);
-	titleCard.appendChild(startButton);
+	titleCard.appendChild(difficultyPicker);
+	titleCard.appendChild(modePicker);
+	titleCard.appendChild(handPicker);
+	titleCard.appendChild(palettePicker);
+	titleCard.appendChild(replayPicker);
+	titleCard.appendChild(multiplayerPicker);
+	titleCard.appendChild(leaderboard);
+	titleCard.appendChild(settingsRow);
+	titleCard.appendChild(consentPicker);
+	titleCard.appendChild(startButtons);
 	document.body.appendChild(titleCard);
 
 	// Add credits text
@@ -0,0 +1,183 @@
+import { getSetting, setSetting } from './settings.js';
+import { getMotionPatternNames } from './motion.js';
+import { getPowerUpIds } from './powerUps.js';
+
+// Normal difficulty - the original tuning of the game, used as the base for every level
+const BASE_LEVEL = {
+	id: 'normal',
+	name: 'Normal',
+	duration: 60, // Round length in seconds
+	roundLength: null, // Seconds set by the roundLength setting instead of the level's own, see withRoundLength()
+	targets: {
+		count: 12, // Number of targets in the arena
+		size: 0.5, // Target radius in meters, the hit radius follows from the model's bounds
+	},
+	spawn: {
+		radius: 8, // Distance of the target ring from the player
+		radiusJitter: 3, // Random variety added to the ring distance
+		height: 1.6, // Center height, around player eye level
+		heightRange: 4, // Vertical distribution range
+	},
+	respawn: {
+		delay: 1000, // Milliseconds before a popped target comes back
+		radius: 9,
+		radiusJitter: 4,
+		randomColor: true, // Pick a new color when the target comes back
+	},
+	bullet: {
+		speed: 10,
+		timeToLive: 1, // Seconds before a missed bullet is removed
+	},
+	motion: {
+		patterns: ['static', 'orbit', 'bob', 'drift'], // Picked at random per target (see motion.js)
+		speed: 1, // Multiplier for how fast targets move
+	},
+	powerUps: {
+		chance: 0.08, // Of a respawning target coming back as a power-up, 0 for none
+		types: ['rainbow', 'clock', 'freeze', 'multishot'], // Picked at random (see powerUps.js)
+	},
+};
+
+// Merge a (partial) level definition over the base level and validate it
+export function defineLevel(definition) {
+	if (!definition || typeof definition !== 'object') {
+		throw new Error('Level definition must be an object');
+	}
+	if (!definition.id || typeof definition.id !== 'string') {
+		throw new Error('Level definition needs a string "id"');
+	}
+
+	const level = { ...BASE_LEVEL, ...definition };
+	['targets', 'spawn', 'respawn', 'bullet', 'motion', 'powerUps'].forEach((section) => {
+		level[section] = { ...BASE_LEVEL[section], ...definition[section] };
+	});
+	level.name = definition.name || definition.id;
+
+	const positive = [
+		['duration', level.duration],
+		['targets.count', level.targets.count],
+		['targets.size', level.targets.size],
+		['spawn.radius', level.spawn.radius],
+		['respawn.radius', level.respawn.radius],
+		['bullet.speed', level.bullet.speed],
+		['bullet.timeToLive', level.bullet.timeToLive],
+		['motion.speed', level.motion.speed],
+	];
+	positive.forEach(([name, value]) => {
+		if (typeof value !== 'number' || !(value > 0)) {
+			throw new Error(`Level "${level.id}": ${name} must be a positive number`);
+		}
+	});
+	level.targets.count = Math.round(level.targets.count);
+	if (level.roundLength !== null && level.roundLength !== level.duration) {
+		throw new Error(`Level "${level.id}": roundLength must be null or the duration`);
+	}
+
+	const { patterns } = level.motion;
+	if (!Array.isArray(patterns) || patterns.length === 0) {
+		throw new Error(`Level "${level.id}": motion.patterns must be a non-empty list`);
+	}
+	const knownPatterns = getMotionPatternNames();
+	patterns.forEach((pattern) => {
+		if (!knownPatterns.includes(pattern)) {
+			throw new Error(`Level "${level.id}": unknown motion pattern "${pattern}"`);
+		}
+	});
+
+	const { chance, types } = level.powerUps;
+	if (typeof chance !== 'number' || !(chance >= 0 && chance <= 1)) {
+		throw new Error(`Level "${level.id}": powerUps.chance must be a number from 0 to 1`);
+	}
+	if (!Array.isArray(types)) {
+		throw new Error(`Level "${level.id}": powerUps.types must be a list`);
+	}
+	const knownPowerUps = getPowerUpIds();
+	types.forEach((type) => {
+		if (!knownPowerUps.includes(type)) {
+			throw new Error(`Level "${level.id}": unknown power-up "${type}"`);
+		}
+	});
+
+	return level;
+}
+
+const BUILT_IN_LEVELS = [
+	{
+		id: 'easy',
+		name: 'Easy',
+		duration: 90,
+		targets: { count: 8, size: 0.7 },
+		spawn: { radius: 6, radiusJitter: 2, heightRange: 3 },
+		respawn: { delay: 700, radius: 7, radiusJitter: 2 },
+		motion: { patterns: ['static', 'bob'], speed: 0.7 },
+	},
+	BASE_LEVEL,
+	{
+		id: 'hard',
+		name: 'Hard',
+		duration: 45,
+		targets: { count: 16, size: 0.35 },
+		spawn: { radius: 10, radiusJitter: 4, heightRange: 5 },
+		respawn: { delay: 1500, radius: 11, radiusJitter: 5 },
+		bullet: { speed: 14, timeToLive: 1 },
+		motion: { patterns: ['orbit', 'bob', 'drift', 'zigzag'], speed: 1.3 },
+	},
+].map(defineLevel);
+
+const levels = new Map(BUILT_IN_LEVELS.map((level) => [level.id, level]));
+
+// Restore custom levels loaded on a previous visit
+getSetting('customLevels').forEach((definition) => {
+	try {
+		const level = defineLevel(definition);
+		levels.set(level.id, level);
+	} catch (error) {
+		console.warn('Ignoring invalid stored level:', error.message);
+	}
+});
+
+export function getLevels() {
+	return [...levels.values()];
+}
+
+export function getLevel(id) {
+	return levels.get(id) ?? levels.get(BASE_LEVEL.id);
+}
+
+export function getSelectedLevel() {
+	return getLevel(getSetting('level'));
+}
+
+// The level (at its own length) with rounds of `seconds` instead, or as it is
+// with null. It keeps its id and says its length in `roundLength`; high scores,
+// best runs and saves are kept per level and round length.
+export function withRoundLength(level, seconds) {
+	if (!seconds || seconds === level.duration) return level;
+	return defineLevel({
+		...level,
+		name: `${level.name} ${seconds}s`,
+		duration: seconds,
+		roundLength: seconds,
+	});
+}
+
+// The selected level at the round length picked in the settings
+export function getPlayedLevel() {
+	return withRoundLength(getSelectedLevel(), getSetting('roundLength'));
+}
+
+// Add a custom level (e.g. parsed from a JSON file), remember it and select it
+export function addCustomLevel(definition) {
+	const level = defineLevel(definition);
+	if (BUILT_IN_LEVELS.some(({ id }) => id === level.id)) {
+		throw new Error(`Level id "${level.id}" is reserved for a built-in level`);
+	}
+	levels.set(level.id, level);
+
+	const customLevels = getSetting('customLevels').filter(
+		({ id }) => id !== level.id,
+	);
+	setSetting('customLevels', [...customLevels, definition]);
+	setSetting('level', level.id);
+	return level;
+}
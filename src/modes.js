@@ -0,0 +1,54 @@
+// Game modes, picked with the mode setting. A mode changes how a round ends and
+// what the HUD shows; high scores, personal bests and best runs are kept per
+// mode. Like game.js this has no scene, so the simulator and relay can use it.
+// - timer: the round lasts the level's duration, otherwise it goes on until lost
+// - lives: targets left unpopped for `targetLifetime` seconds each cost a life,
+//   the round is over when none are left (0 for no lives)
+// - suddenDeath: the first wrong-color hit ends the round
+// - scored: the score is shown and high scores are kept
+// - calm: softer blaster sounds and no buzz on wrong-color hits
+
+const TIMED_MODE = {
+	id: 'timed',
+	name: 'Timed',
+	description: 'Score as much as you can before time runs out',
+	timer: true,
+	lives: 0,
+	targetLifetime: 0,
+	suddenDeath: false,
+	scored: true,
+	calm: false,
+};
+
+export const MODES = [
+	TIMED_MODE,
+	{
+		...TIMED_MODE,
+		id: 'endless',
+		name: 'Endless',
+		description: 'No clock, but every target that gets away costs one of 3 lives',
+		timer: false,
+		lives: 3,
+		targetLifetime: 15,
+	},
+	{
+		...TIMED_MODE,
+		id: 'zen',
+		name: 'Zen',
+		description: 'No clock and no score, pop targets for as long as you like',
+		timer: false,
+		scored: false,
+		calm: true,
+	},
+	{
+		...TIMED_MODE,
+		id: 'suddenDeath',
+		name: 'Sudden Death',
+		description: 'Beat the clock without a single wrong-color hit',
+		suddenDeath: true,
+	},
+];
+
+export function getMode(id) {
+	return MODES.find((mode) => mode.id === id) || TIMED_MODE;
+}
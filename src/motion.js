@@ -0,0 +1,174 @@
+// Target motion patterns. Each pattern sets up its state from the target's
+// spawn position and then moves that position every frame. Positions only need
+// x/y/z fields, so the patterns work on THREE.Vector3 as well as plain objects.
+
+const MOTION_PATTERNS = {
+	// Stays where it spawned
+	static: {
+		create() {
+			return {};
+		},
+		update() {},
+	},
+
+	// Circles around the player at the spawn distance and height
+	orbit: {
+		create(position, { random, speed }) {
+			const radius = Math.hypot(position.x, position.z);
+			return {
+				radius,
+				angle: Math.atan2(position.x, position.z),
+				// Tangential speed of roughly 0.8-1.6 m/s, in either direction
+				angularSpeed:
+					((0.8 + random() * 0.8) * speed * (random() < 0.5 ? -1 : 1)) /
+					Math.max(radius, 1),
+			};
+		},
+		update(position, state, delta) {
+			state.angle += state.angularSpeed * delta;
+			position.x = Math.sin(state.angle) * state.radius;
+			position.z = Math.cos(state.angle) * state.radius;
+		},
+	},
+
+	// Floats up and down around the spawn height
+	bob: {
+		create(position, { random, speed }) {
+			return {
+				baseY: position.y,
+				amplitude: 0.3 + random() * 0.4,
+				frequency: (1 + random()) * speed, // Radians per second
+				phase: random() * Math.PI * 2,
+			};
+		},
+		update(position, state, delta) {
+			state.phase += state.frequency * delta;
+			position.y = state.baseY + Math.sin(state.phase) * state.amplitude;
+		},
+	},
+
+	// Drifts in a straight line and bounces off the walls of a box around the spawn point
+	drift: {
+		create(position, { random, speed }) {
+			const extent = { x: 1.5, y: 0.8, z: 1.5 };
+			const velocity = {
+				x: random() * 2 - 1,
+				y: (random() * 2 - 1) * 0.5,
+				z: random() * 2 - 1,
+			};
+			const length = Math.hypot(velocity.x, velocity.y, velocity.z) || 1;
+			const driftSpeed = (0.6 + random() * 0.6) * speed;
+			return {
+				min: {
+					x: position.x - extent.x,
+					y: position.y - extent.y,
+					z: position.z - extent.z,
+				},
+				max: {
+					x: position.x + extent.x,
+					y: position.y + extent.y,
+					z: position.z + extent.z,
+				},
+				velocity: {
+					x: (velocity.x / length) * driftSpeed,
+					y: (velocity.y / length) * driftSpeed,
+					z: (velocity.z / length) * driftSpeed,
+				},
+			};
+		},
+		update(position, state, delta) {
+			['x', 'y', 'z'].forEach((axis) => {
+				position[axis] += state.velocity[axis] * delta;
+				if (position[axis] < state.min[axis]) {
+					position[axis] = state.min[axis];
+					state.velocity[axis] = Math.abs(state.velocity[axis]);
+				} else if (position[axis] > state.max[axis]) {
+					position[axis] = state.max[axis];
+					state.velocity[axis] = -Math.abs(state.velocity[axis]);
+				}
+			});
+		},
+	},
+
+	// Weaves side to side while closing in on the player, then backs off and repeats
+	zigzag: {
+		create(position, { random, speed, center }) {
+			const toCenter = {
+				x: center.x - position.x,
+				z: center.z - position.z,
+			};
+			const distance = Math.hypot(toCenter.x, toCenter.z) || 1;
+			const closest = Math.min(2.5, distance); // Never come closer than this
+			const travel = distance - closest;
+			return {
+				start: { x: position.x, y: position.y, z: position.z },
+				direction: { x: toCenter.x / distance, z: toCenter.z / distance },
+				travel,
+				progress: 0, // Meters travelled towards the player
+				approachSpeed: (0.8 + random() * 0.4) * speed,
+				heading: 1, // 1 while approaching, -1 while backing off
+				// Starts on the straight line, weaving to a random side first
+				amplitude: (0.8 + random() * 0.6) * (random() < 0.5 ? -1 : 1),
+				frequency: (2 + random()) * speed,
+				phase: 0,
+			};
+		},
+		update(position, state, delta) {
+			state.progress += state.approachSpeed * state.heading * delta;
+			if (state.progress >= state.travel) {
+				state.progress = state.travel;
+				state.heading = -1;
+			} else if (state.progress <= 0) {
+				state.progress = 0;
+				state.heading = 1;
+			}
+			state.phase += state.frequency * delta;
+
+			// Side to side offset perpendicular to the approach direction
+			const offset = Math.sin(state.phase) * state.amplitude;
+			position.x =
+				state.start.x +
+				state.direction.x * state.progress -
+				state.direction.z * offset;
+			position.y = state.start.y;
+			position.z =
+				state.start.z +
+				state.direction.z * state.progress +
+				state.direction.x * offset;
+		},
+	},
+};
+
+export function getMotionPatternNames() {
+	return Object.keys(MOTION_PATTERNS);
+}
+
+// Add a custom pattern: { create(position, options) => state, update(position, state, delta) }
+export function registerMotionPattern(name, pattern) {
+	if (typeof pattern?.create !== 'function' || typeof pattern?.update !== 'function') {
+		throw new Error(`Motion pattern "${name}" needs create() and update() functions`);
+	}
+	MOTION_PATTERNS[name] = pattern;
+}
+
+export function pickMotionPattern(names, random = Math.random) {
+	return names[Math.floor(random() * names.length)];
+}
+
+// Start a motion from the target's current (spawn) position
+export function createMotion(
+	name,
+	position,
+	{ random = Math.random, speed = 1, center = { x: 0, y: 0, z: 0 } } = {},
+) {
+	const pattern = MOTION_PATTERNS[name] || MOTION_PATTERNS.static;
+	return {
+		name,
+		pattern,
+		state: pattern.create(position, { random, speed, center }),
+	};
+}
+
+export function updateMotion(motion, position, delta) {
+	motion.pattern.update(position, motion.state, delta);
+}
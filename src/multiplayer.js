@@ -0,0 +1,150 @@
+// Connection to a multiplayer relay (see scripts/relay.js and netProtocol.js).
+// The title card connects and picks the mode, the game takes the relay's
+// messages once per frame with flushMessages().
+
+const SMOOTHING = 15; // How quickly targets catch up with the relay, per second
+
+const listeners = new Set();
+const remotePositions = []; // Last target positions from the relay
+const inbox = []; // Messages for the game, handled in its frame loop
+
+let socket = null;
+const connection = {
+	status: 'offline', // 'connecting', 'online' or 'offline'
+	error: null, // Why the last connection closed, if it failed
+	id: null, // Our player id, given by the relay
+	mode: null,
+	level: null,
+	host: null, // Id of the player who picks the mode and level
+	players: [], // Everyone in the lobby, from the relay's last lobby message
+};
+
+function notify() {
+	listeners.forEach((listener) => listener(connection));
+}
+
+export function getConnection() {
+	return connection;
+}
+
+export function isOnline() {
+	return connection.status === 'online';
+}
+
+// Whether we pick the mode and level for the lobby
+export function isHost() {
+	return isOnline() && connection.host === connection.id;
+}
+
+// Connect to the relay at `url` (ws://host:port) as `name`
+export function connect(url, name) {
+	disconnect();
+	connection.status = 'connecting';
+	connection.error = null;
+	notify();
+
+	try {
+		socket = new WebSocket(url);
+	} catch (error) {
+		connection.status = 'offline';
+		connection.error = error.message;
+		notify();
+		return;
+	}
+	const current = socket;
+	current.addEventListener('open', () => {
+		send({ type: 'join', name });
+	});
+	current.addEventListener('message', (event) => {
+		let message;
+		try {
+			message = JSON.parse(event.data);
+		} catch {
+			return; // Not from the relay, ignore it
+		}
+		if (message.type === 'welcome') {
+			connection.status = 'online';
+			connection.id = message.id;
+			notify();
+		} else if (message.type === 'lobby') {
+			connection.mode = message.mode;
+			connection.level = message.level;
+			connection.host = message.host;
+			connection.players = message.players;
+			notify();
+		}
+		inbox.push(message);
+	});
+	current.addEventListener('close', () => {
+		if (socket !== current) return; // Replaced by a newer connection
+		if (connection.status !== 'online') {
+			connection.error = `Could not connect to ${url}`;
+		}
+		socket = null;
+		connection.status = 'offline';
+		connection.id = null;
+		connection.players = [];
+		inbox.push({ type: 'closed' });
+		notify();
+	});
+}
+
+export function disconnect() {
+	if (!socket) return;
+	const closing = socket;
+	socket = null;
+	closing.close();
+	connection.status = 'offline';
+	connection.id = null;
+	connection.players = [];
+	inbox.push({ type: 'closed' });
+	notify();
+}
+
+export function send(message) {
+	if (socket?.readyState === WebSocket.OPEN) {
+		socket.send(JSON.stringify(message));
+	}
+}
+
+// Hand the messages received since the last call to `handler` in order
+export function flushMessages(handler) {
+	inbox.splice(0).forEach(handler);
+}
+
+// Register a callback for connection and lobby changes, returns a function that removes it
+export function onConnectionChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+// Copy the relay's targets (see packTargets()) into the game's, a target that
+// comes back after popping starts growing again
+export function applyTargets(game, packed) {
+	packed.forEach(([x, y, z, colorIndex, visible, popping], i) => {
+		const target = game.targets[i];
+		if (!target) return;
+		if (!remotePositions[i]) remotePositions[i] = target.position.clone();
+		remotePositions[i].set(x, y, z);
+		if (!target.visible && visible) target.position.set(x, y, z); // No gliding in from the old spot
+		if (target.popping && !popping) target.age = 0;
+		if (!target.popping && popping) target.popTime = 0;
+		target.colorIndex = colorIndex;
+		target.visible = visible === 1;
+		target.popping = popping === 1;
+	});
+}
+
+// Ease the targets towards their last positions from the relay, which come a
+// few times a second
+export function smoothTargets(game, delta) {
+	const blend = 1 - Math.exp(-delta * SMOOTHING);
+	game.targets.forEach((target, i) => {
+		if (remotePositions[i]) target.position.lerp(remotePositions[i], blend);
+	});
+}
+
+// Forget the relay's targets before a new round
+export function clearTargets() {
+	remotePositions.length = 0;
+}
@@ -0,0 +1,89 @@
+// Messages between the game and the multiplayer relay (scripts/relay.js), sent
+// as JSON over a WebSocket. The relay runs the round with game.js and is the
+// only one that decides hits; players send their shots and poses.
+//
+// Player to relay:
+// - { type: 'join', name }
+// - { type: 'setup', mode, level }: mode and level definition for the next round, host only
+// - { type: 'ready', modelRadius } / { type: 'unready' }: in a session and waiting to
+//   play, or not. modelRadius is the target model's radius at size 1 (see game.js);
+//   the relay keeps it to what a target model can measure and uses the smallest.
+// - { type: 'pose', head, left, right }: see writePose(), hands are null when not in use
+// - { type: 'color', hand, colorIndex }
+// - { type: 'fire', shot, hand, colorIndex, origin, direction }: `shot` is the player's bullet index.
+//   Shots from further than arm's reach of the head in the player's last pose are dropped.
+//
+// Relay to player:
+// - { type: 'welcome', id }
+// - { type: 'lobby', mode, level, host, players: [{ id, name, color, ready, playing }] }:
+//   `host` is the id of the player who picks the mode and level
+// - { type: 'start', seed, mode, level, players, colors: { [id]: colorIndices }, goal }
+// - { type: 'state', timer, targets: packTargets(), scores: { [id]: score } }
+// - { type: 'hit', player, shot, target, points, point }
+// - { type: 'deflect', player, shot, point, normal }
+// - { type: 'fire', player, ... }, { type: 'pose', player, ... }, { type: 'color', player, ... }
+//   from the other players
+// - { type: 'left', player }: a player disconnected
+// - { type: 'end', scores, goal }: goal is null in versus
+
+export const DEFAULT_PORT = 8787;
+export const STATE_RATE = 20; // Round snapshots per second
+export const POSE_RATE = 20; // Pose updates per second from each player
+export const GOAL_PER_PLAYER_MINUTE = 15; // Co-op points each player adds to the goal per minute
+
+export const MULTIPLAYER_MODES = [
+	{ id: 'versus', name: 'Versus' }, // Everyone races for the same targets
+	{ id: 'coop', name: 'Co-op' }, // The colors are split between players, who share a goal
+];
+
+// Avatar colors, one per player in the order they joined
+export const PLAYER_COLORS = [0x00A4EF, 0xF25022, 0x7FBA00, 0xFFB900, 0xB45AF2, 0x00C7B7];
+
+// Colors a co-op player may fire: the colors are dealt out in turn, and players
+// share them when there are more players than colors
+export function coopColors(playerIndex, playerCount, colorCount) {
+	if (playerCount > colorCount) return [playerIndex % colorCount];
+	const colors = [];
+	for (let color = playerIndex; color < colorCount; color += playerCount) colors.push(color);
+	return colors;
+}
+
+// Combined score co-op players need in a round of `level`
+export function coopGoal(level, playerCount) {
+	return Math.round(GOAL_PER_PLAYER_MINUTE * playerCount * (level.duration / 60));
+}
+
+function round(value, precision) {
+	return Math.round(value * precision) / precision;
+}
+
+// Position (mm) and rotation of an Object3D as [x, y, z, qx, qy, qz, qw]
+export function writePose(object) {
+	const { position, quaternion } = object;
+	return [
+		round(position.x, 1000),
+		round(position.y, 1000),
+		round(position.z, 1000),
+		round(quaternion.x, 10000),
+		round(quaternion.y, 10000),
+		round(quaternion.z, 10000),
+		round(quaternion.w, 10000),
+	];
+}
+
+export function readPose(pose, object) {
+	object.position.fromArray(pose, 0);
+	object.quaternion.fromArray(pose, 3).normalize();
+}
+
+// The relay's targets as [x, y, z, colorIndex, visible, popping] each
+export function packTargets(targets) {
+	return targets.map(({ position, colorIndex, visible, popping }) => [
+		round(position.x, 1000),
+		round(position.y, 1000),
+		round(position.z, 1000),
+		colorIndex,
+		visible ? 1 : 0,
+		popping ? 1 : 0,
+	]);
+}
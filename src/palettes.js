@@ -0,0 +1,53 @@
+// Color palettes for the four color slots. Gameplay only ever compares slot
+// indices, so switching palettes mid-round keeps every target and bullet valid.
+// The alternatives lean on brightness as well as hue, so the slots stay apart
+// for the matching color-vision deficiency.
+
+export const PALETTES = [
+	{
+		id: 'default',
+		name: 'Default',
+		// Microsoft logo colors
+		colors: [0x00A4EF, 0x7FBA00, 0xF25022, 0xFFB900],
+		colorNames: ['Blue', 'Green', 'Red', 'Yellow'],
+	},
+	{
+		id: 'deuteranopia',
+		name: 'Deuteranopia',
+		// Dark and light blue against dark and light yellow, no red/green pair
+		colors: [0x0072B2, 0x56B4E9, 0xD55E00, 0xF0E442],
+		colorNames: ['Blue', 'Sky', 'Vermilion', 'Yellow'],
+	},
+	{
+		id: 'protanopia',
+		name: 'Protanopia',
+		// Reds look dark to protans, so orange and white carry the warm side
+		colors: [0x0072B2, 0x56B4E9, 0xE69F00, 0xF0F0F0],
+		colorNames: ['Blue', 'Sky', 'Orange', 'White'],
+	},
+	{
+		id: 'tritanopia',
+		name: 'Tritanopia',
+		// Blue and yellow are the confusing pair, so use reds and teals
+		colors: [0x00786E, 0x7FD8E6, 0xD55E00, 0xF2A7C8],
+		colorNames: ['Teal', 'Cyan', 'Vermilion', 'Pink'],
+	},
+];
+
+// Shape for each color slot, shown on targets and bullets when symbols are on
+export const SYMBOLS = [
+	{ id: 'circle', glyph: '●' },
+	{ id: 'triangle', glyph: '▲' },
+	{ id: 'square', glyph: '■' },
+	{ id: 'cross', glyph: '✚' },
+	{ id: 'diamond', glyph: '◆' },
+	{ id: 'star', glyph: '★' },
+];
+
+export function getPalette(id) {
+	return PALETTES.find((palette) => palette.id === id) || PALETTES[0];
+}
+
+export function getSymbol(slot) {
+	return SYMBOLS[slot % SYMBOLS.length];
+}
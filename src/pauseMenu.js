@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+
+// In-headset pause menu. It floats in front of the player and follows them when
+// they turn away; each hand points at the buttons with a short laser. Other
+// menus (see settingsPanel.js) are built from the same buttons and shown,
+// hidden and pointed at with the same functions.
+
+const MENU_DISTANCE = 1.5; // Meters in front of the player
+const MENU_DROP = 0.2; // Meters below eye level
+const FOLLOW_ANGLE = Math.cos(THREE.MathUtils.degToRad(40)); // Re-center once the player looks further away
+const POINTER_LENGTH = 3;
+
+const BUTTON_WIDTH = 0.5;
+const BUTTON_HEIGHT = 0.13;
+const BUTTON_COLOR = 0x222222;
+
+const MENU_BUTTONS = [
+	{ id: 'resume', label: 'Resume', color: 0x7FBA00 }, // Green
+	{ id: 'restart', label: 'Restart', color: 0xFFB900 }, // Yellow
+	{ id: 'settings', label: 'Settings', color: 0x00A4EF }, // Blue
+	{ id: 'quit', label: 'Quit', color: 0xF25022 }, // Red
+];
+
+const raycaster = new THREE.Raycaster();
+const headPosition = new THREE.Vector3();
+const lookDirection = new THREE.Vector3();
+const menuDirection = new THREE.Vector3();
+const rayQuaternion = new THREE.Quaternion();
+
+export function createMenuText(text, fontSize, color) {
+	const label = new Text();
+	label.text = text;
+	label.font = 'assets/SpaceMono-Bold.ttf';
+	label.fontSize = fontSize;
+	label.color = color;
+	label.anchorX = 'center';
+	label.anchorY = 'middle';
+	label.sync();
+	return label;
+}
+
+function createPointer() {
+	const geometry = new THREE.BufferGeometry().setFromPoints([
+		new THREE.Vector3(0, 0, 0),
+		new THREE.Vector3(0, 0, -1),
+	]);
+	const pointer = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xFFFFFF }));
+	pointer.name = 'menuPointer';
+	return pointer;
+}
+
+// Button with its `label` in `color`, picked by its `id`
+export function createMenuButton(id, label, color, width = BUTTON_WIDTH, height = BUTTON_HEIGHT) {
+	const panel = new THREE.Mesh(
+		new THREE.PlaneGeometry(width, height),
+		new THREE.MeshBasicMaterial({ color: BUTTON_COLOR, transparent: true, opacity: 0.85 }),
+	);
+	panel.userData.buttonId = id;
+
+	const text = createMenuText(label, Math.min(0.06, height * 0.5), color);
+	text.position.z = 0.005; // Just in front of the panel
+	panel.add(text);
+	return { id, panel, color, text };
+}
+
+// Hidden menu with nothing on it yet, add to its group and buttons
+export function createMenu(name) {
+	const group = new THREE.Group();
+	group.name = name;
+	group.visible = false;
+	return {
+		group,
+		buttons: [],
+		pointers: { left: createPointer(), right: createPointer() },
+		placed: false,
+	};
+}
+
+export function createPauseMenu() {
+	const menu = createMenu('pauseMenu');
+
+	const title = createMenuText('Paused', 0.12, 0xFFFFFF);
+	title.position.set(0, 0.3, 0);
+	menu.group.add(title);
+
+	MENU_BUTTONS.forEach(({ id, label, color }, i) => {
+		const button = createMenuButton(id, label, color);
+		button.panel.position.set(0, 0.1 - i * (BUTTON_HEIGHT + 0.04), 0);
+		menu.group.add(button.panel);
+		menu.buttons.push(button);
+	});
+	return menu;
+}
+
+export function showMenu(menu) {
+	menu.group.visible = true;
+	menu.placed = false; // Placed in front of the player on the next update
+}
+
+export function hideMenu(menu) {
+	menu.group.visible = false;
+	Object.values(menu.pointers).forEach((pointer) => pointer.removeFromParent());
+}
+
+// Keep the menu in front of the player and aim the pointers. `rays` maps each
+// hand in use to its ray space; returns the id of the button each hand points
+// at, or null.
+export function updateMenu(menu, camera, rays) {
+	camera.getWorldPosition(headPosition);
+	camera.getWorldDirection(lookDirection);
+	lookDirection.y = 0;
+	lookDirection.normalize();
+
+	menuDirection.subVectors(menu.group.position, headPosition);
+	menuDirection.y = 0;
+	menuDirection.normalize();
+	if (!menu.placed || menuDirection.dot(lookDirection) < FOLLOW_ANGLE) {
+		menu.group.position
+			.copy(headPosition)
+			.addScaledVector(lookDirection, MENU_DISTANCE);
+		menu.group.position.y -= MENU_DROP;
+		menu.group.lookAt(headPosition.x, menu.group.position.y, headPosition.z);
+		menu.group.updateMatrixWorld(true);
+		menu.placed = true;
+	}
+
+	const panels = menu.buttons.map(({ panel }) => panel);
+	const hovered = new Set();
+	const picks = {};
+	Object.entries(menu.pointers).forEach(([hand, pointer]) => {
+		const raySpace = rays[hand];
+		if (!raySpace) {
+			pointer.removeFromParent();
+			picks[hand] = null;
+			return;
+		}
+		if (pointer.parent !== raySpace) raySpace.add(pointer);
+
+		raySpace.getWorldPosition(raycaster.ray.origin);
+		raySpace.getWorldQuaternion(rayQuaternion);
+		raycaster.ray.direction.set(0, 0, -1).applyQuaternion(rayQuaternion);
+		const [hit] = raycaster.intersectObjects(panels, false);
+
+		pointer.scale.z = hit ? hit.distance : POINTER_LENGTH;
+		picks[hand] = hit ? hit.object.userData.buttonId : null;
+		if (hit) hovered.add(hit.object);
+	});
+
+	// Highlight the buttons being pointed at in their label color
+	menu.buttons.forEach(({ panel, color }) => {
+		panel.material.color.setHex(hovered.has(panel) ? color : BUTTON_COLOR);
+		panel.material.opacity = hovered.has(panel) ? 0.4 : 0.85;
+	});
+	return picks;
+}
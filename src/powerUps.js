@@ -0,0 +1,63 @@
+// Power-up targets and the timed effects they grant. Now and then a respawning
+// target comes back as a power-up (see game.js and the level's powerUps), and
+// popping it starts its effect:
+// - rainbow: pops with any color, and bullets fired while it lasts match every target
+// - clock: adds time to a timed round, so it only turns up in modes with a clock
+// - freeze: targets move, pop and respawn slower while it lasts
+// - multishot: every shot fires a spread of bullets while it lasts
+// `label` is how the HUD shows an effect in play, `color` the ring around the target.
+
+export const POWER_UPS = [
+	{ id: 'rainbow', name: 'Rainbow', label: 'WILD', duration: 5, color: 0xFFFFFF },
+	{ id: 'clock', name: 'Clock', label: 'TIME', duration: 0, color: 0x4CAF50 },
+	{ id: 'freeze', name: 'Freeze', label: 'SLOW', duration: 6, color: 0x7FDBFF },
+	{ id: 'multishot', name: 'Multishot', label: 'x3', duration: 6, color: 0xFF8C00 },
+];
+
+export const CLOCK_SECONDS = 10; // Added to the round, up to its full length
+export const FREEZE_FACTOR = 0.35; // Of the targets' speed while frozen
+export const MULTISHOT_BULLETS = 3; // Per shot, fanned out side to side
+export const MULTISHOT_SPREAD = 0.08; // Radians between the bullets of a spread
+
+export function getPowerUp(id) {
+	return POWER_UPS.find((powerUp) => powerUp.id === id) ?? null;
+}
+
+export function getPowerUpIds() {
+	return POWER_UPS.map((powerUp) => powerUp.id);
+}
+
+// Effects in play: seconds left, by power-up id
+export function createPowerUpTimers() {
+	return {};
+}
+
+// Start an effect, or start it over when it is already in play
+export function startPowerUp(timers, id) {
+	const { duration } = getPowerUp(id);
+	if (duration > 0) timers[id] = duration;
+}
+
+export function isPowerUpActive(timers, id) {
+	return (timers[id] ?? 0) > 0;
+}
+
+// Count the effects down by `delta` seconds, returns the ids of the ones that ran out
+export function updatePowerUpTimers(timers, delta) {
+	const expired = [];
+	Object.keys(timers).forEach((id) => {
+		timers[id] -= delta;
+		if (timers[id] <= 0) {
+			delete timers[id];
+			expired.push(id);
+		}
+	});
+	return expired;
+}
+
+// End every effect at once, returns the ids that were in play
+export function clearPowerUpTimers(timers) {
+	const ids = Object.keys(timers);
+	ids.forEach((id) => delete timers[id]);
+	return ids;
+}
@@ -0,0 +1,18 @@
+// Seeded pseudo-random numbers, so a round can be replayed exactly from its
+// seed. mulberry32: small, fast and plenty random for placing targets.
+
+export function createRandom(seed) {
+	let state = seed >>> 0;
+	return function random() {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// A seed for rounds that don't need to be reproduced
+export function randomSeed() {
+	return Math.floor(Math.random() * 4294967296);
+}
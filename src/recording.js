@@ -0,0 +1,271 @@
+// Recordings of whole rounds, for replays and the ghost of the best run. A
+// recording holds the round's seed, level and mode, the player's head and blaster
+// poses every frame, and the frame's events:
+// - [frame, 'fire', hand, colorIndex, originX, originY, originZ, directionX, directionY, directionZ]
+// - [frame, 'color', hand, colorIndex]
+// - [frame, 'pause'], [frame, 'resume'], [frame, 'relocate'] (targets moved onto the room's surfaces)
+// - [frame, 'spawn', targetIndex, x, y, z]
+// - [frame, 'hit', targetIndex, points]
+// Inputs (fire, pause, resume, relocate) are replayed into a game seeded the
+// same way (see game.js), spawns put the targets where they were, and hits keep
+// the ghost's score. Events of a frame happen before its step. Anchors don't
+// drift in a replay, so one of an AR round can slowly part from what happened.
+//
+// Frame steps and poses are packed into typed arrays and stored base64 encoded,
+// so a 60 second round is a few hundred kilobytes of JSON. Positions are kept
+// to the millimeter and rotations to 1/32767.
+
+import { defineLevel } from './levels.js';
+
+const FORMAT = 'dreampop-recording';
+const VERSION = 1;
+const POSE_SLOTS = ['head', 'left', 'right'];
+const POSE_SIZE = 7; // Position x/y/z, quaternion x/y/z/w
+const FRAME_SIZE = POSE_SLOTS.length * POSE_SIZE;
+const POSITION_SCALE = 1000; // Millimeters
+const ROTATION_SCALE = 32767;
+const BEST_RUN_KEY = 'dreampop.bestRun.'; // Followed by bestRunKey(), one run per storage key
+const OLD_BEST_RUNS_KEY = 'dreampop.bestRuns'; // All best runs in one object, as older versions kept them
+
+const listeners = new Set();
+let lastRecording = null; // The last finished round, for exporting
+
+// `mode` is the id of the round's game mode (see modes.js)
+export function createRecording({ seed, level, mode }) {
+	return {
+		seed,
+		level,
+		mode,
+		steps: [], // Seconds each frame stepped the game
+		poses: [],
+		events: [],
+		score: 0,
+	};
+}
+
+// Index of the frame being recorded, events are recorded against it until its step is
+export function currentFrame(recording) {
+	return recording.steps.length;
+}
+
+// Finish the current frame, which steps the game by `step` seconds. `poses`
+// maps 'head', 'left' and 'right' to an Object3D or null (that slot isn't in use).
+export function recordFrame(recording, step, poses) {
+	recording.steps.push(step);
+	POSE_SLOTS.forEach((slot) => {
+		const object = poses[slot];
+		if (!object) {
+			// A zero quaternion marks the slot as unused this frame
+			for (let i = 0; i < POSE_SIZE; i++) recording.poses.push(0);
+			return;
+		}
+		const { position, quaternion } = object;
+		recording.poses.push(
+			Math.round(position.x * POSITION_SCALE),
+			Math.round(position.y * POSITION_SCALE),
+			Math.round(position.z * POSITION_SCALE),
+			Math.round(quaternion.x * ROTATION_SCALE),
+			Math.round(quaternion.y * ROTATION_SCALE),
+			Math.round(quaternion.z * ROTATION_SCALE),
+			Math.round(quaternion.w * ROTATION_SCALE),
+		);
+	});
+}
+
+export function recordEvent(recording, type, ...values) {
+	recording.events.push([currentFrame(recording), type, ...values]);
+}
+
+function encodeArray(array) {
+	const bytes = new Uint8Array(array.buffer);
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+	return btoa(binary);
+}
+
+function decodeArray(text, ArrayType) {
+	const binary = atob(text);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+	return new ArrayType(bytes.buffer);
+}
+
+// Plain JSON for storing or downloading a finished recording
+export function encodeRecording(recording) {
+	return {
+		format: FORMAT,
+		version: VERSION,
+		date: new Date().toISOString(),
+		seed: recording.seed,
+		level: recording.level,
+		mode: recording.mode,
+		score: recording.score,
+		steps: encodeArray(Float32Array.from(recording.steps)),
+		poses: encodeArray(Int16Array.from(recording.poses)),
+		events: recording.events,
+	};
+}
+
+// Read a recording from its JSON, throws if it isn't one
+export function decodeRecording(data) {
+	if (data?.format !== FORMAT) {
+		throw new Error('Not a Dreampop recording');
+	}
+	if (data.version !== VERSION) {
+		throw new Error(`Unsupported recording version ${data.version}`);
+	}
+	const steps = decodeArray(data.steps, Float32Array);
+	const poses = decodeArray(data.poses, Int16Array);
+	if (poses.length !== steps.length * FRAME_SIZE || !Array.isArray(data.events)) {
+		throw new Error('Recording is damaged');
+	}
+
+	// Round time at the end of each frame, the clock stops while paused
+	const roundTimes = new Float64Array(steps.length);
+	let paused = false;
+	let roundTime = 0;
+	let next = 0;
+	for (let frame = 0; frame < steps.length; frame++) {
+		for (; next < data.events.length && data.events[next][0] <= frame; next++) {
+			const type = data.events[next][1];
+			if (type === 'pause') paused = true;
+			if (type === 'resume') paused = false;
+		}
+		if (!paused) roundTime += steps[frame];
+		roundTimes[frame] = roundTime;
+	}
+
+	// Recordings from before game modes are of timed rounds, and from before power-ups have none
+	const level = defineLevel({ powerUps: { chance: 0 }, ...data.level });
+	return { ...data, level, mode: data.mode ?? 'timed', steps, poses, roundTimes };
+}
+
+// Set `object` to the recorded pose of a slot, returns false if the slot wasn't in use
+export function readPose(recording, frame, slot, object) {
+	const offset = frame * FRAME_SIZE + POSE_SLOTS.indexOf(slot) * POSE_SIZE;
+	const pose = recording.poses;
+	if (pose[offset + 3] === 0 && pose[offset + 4] === 0 && pose[offset + 5] === 0 && pose[offset + 6] === 0) {
+		return false;
+	}
+	object.position.set(pose[offset], pose[offset + 1], pose[offset + 2]).divideScalar(POSITION_SCALE);
+	object.quaternion
+		.set(pose[offset + 3], pose[offset + 4], pose[offset + 5], pose[offset + 6])
+		.normalize();
+	return true;
+}
+
+// Last frame that ends at or before `roundTime`
+export function frameAtRoundTime(recording, roundTime) {
+	const { roundTimes } = recording;
+	let low = 0;
+	let high = roundTimes.length - 1;
+	while (low < high) {
+		const middle = Math.ceil((low + high) / 2);
+		if (roundTimes[middle] <= roundTime) {
+			low = middle;
+		} else {
+			high = middle - 1;
+		}
+	}
+	return low;
+}
+
+function loadOldBestRuns() {
+	try {
+		return JSON.parse(localStorage.getItem(OLD_BEST_RUNS_KEY)) || {};
+	} catch {
+		// Storage unavailable or corrupted - no ghosts
+		return {};
+	}
+}
+
+// Best runs of timed rounds are kept under the level's id, as they were before
+// game modes, and of rounds at another length with the length after it
+function bestRunKey(levelId, mode, roundLength) {
+	const key = mode === 'timed' ? levelId : `${levelId}:${mode}`;
+	return roundLength ? `${key}:${roundLength}s` : key;
+}
+
+// The stored best run under `key`, still encoded, or null
+function loadBestRun(key) {
+	try {
+		return JSON.parse(localStorage.getItem(BEST_RUN_KEY + key)) ?? loadOldBestRuns()[key] ?? null;
+	} catch {
+		// Storage unavailable or corrupted - no ghost
+		return null;
+	}
+}
+
+// Store an encoded best run under its own key, returns false if it didn't fit
+function saveBestRun(key, data) {
+	try {
+		localStorage.setItem(BEST_RUN_KEY + key, JSON.stringify(data));
+	} catch {
+		// Storage unavailable or full, the caller lets the player know
+		return false;
+	}
+	// The run it replaces may still be in the old shared object, free its space
+	const oldRuns = loadOldBestRuns();
+	if (!(key in oldRuns)) return true;
+	delete oldRuns[key];
+	try {
+		if (Object.keys(oldRuns).length > 0) {
+			localStorage.setItem(OLD_BEST_RUNS_KEY, JSON.stringify(oldRuns));
+		} else {
+			localStorage.removeItem(OLD_BEST_RUNS_KEY);
+		}
+	} catch {
+		// do nothing, the new run is read first anyway
+	}
+	return true;
+}
+
+// The best recorded run of a level in a game mode at a round length (null for
+// the level's own), decoded, or null
+export function getBestRun(levelId, mode, roundLength = null) {
+	const data = loadBestRun(bestRunKey(levelId, mode, roundLength));
+	if (!data) return null;
+	try {
+		return decodeRecording(data);
+	} catch (error) {
+		console.warn('Ignoring stored best run:', error.message);
+		return null;
+	}
+}
+
+// Keep a finished round as the last recording, and as the best run of its
+// level and mode if it scored higher. Returns false if it was the best run but
+// couldn't be stored (e.g. storage is full).
+export function finishRecording(recording, score) {
+	recording.score = score;
+	lastRecording = encodeRecording(recording);
+	const key = bestRunKey(recording.level.id, recording.mode, recording.level.roundLength);
+	const best = loadBestRun(key);
+	let saved = true;
+	if (!best || score > best.score) {
+		saved = saveBestRun(key, lastRecording);
+	}
+	listeners.forEach((listener) => listener({ type: 'finished' }));
+	return saved;
+}
+
+export function getLastRecording() {
+	return lastRecording;
+}
+
+// Ask the game to play a decoded recording in the page (not in a session)
+export function requestReplay(recording) {
+	listeners.forEach((listener) => listener({ type: 'replay', recording }));
+}
+
+// The replay ran out or was stopped
+export function endReplay() {
+	listeners.forEach((listener) => listener({ type: 'replayEnd' }));
+}
+
+// Register a callback for finished recordings and the start and end of
+// replays, returns a function that removes it
+export function onRecordingEvent(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+
+// Results panel of the game over screen: the round's stats (see getRoundStats()
+// in game.js) next to the personal best of the level, and how each color went.
+// Stats that beat the best are green, the ones that fall short are dimmed.
+
+const LABEL_WIDTH = 12;
+const COLUMN_WIDTH = 7;
+const PADDING = 0.05; // Meters of background around the text
+
+const TEXT_COLOR = 0xFFFFFF;
+const TITLE_COLOR = 0x00A4EF; // Blue, like the leaderboard title
+const BETTER_COLOR = 0x7FBA00; // Green
+const WORSE_COLOR = 0x888888;
+const NEW_BEST_COLOR = 0xFFB900; // Yellow
+
+function formatCount(value) {
+	return `${value}`;
+}
+
+function formatPercent(value) {
+	return `${Math.round(value * 100)}%`;
+}
+
+function formatSeconds(value) {
+	return `${value.toFixed(1)}s`;
+}
+
+// `better` says which way beats the personal best, `counts` whether the stat
+// means anything for a round
+const ROWS = [
+	{ label: 'Score', key: 'points', format: formatCount, better: 'higher' },
+	{ label: 'Shots', key: 'shots', format: formatCount },
+	{ label: 'Hits', key: 'hits', format: formatCount, better: 'higher' },
+	{ label: 'Wrong Color', key: 'wrongColorHits', format: formatCount, better: 'lower' },
+	{ label: 'Accuracy', key: 'accuracy', format: formatPercent, better: 'higher' },
+	{
+		label: 'Time to Hit',
+		key: 'averageHitTime',
+		format: formatSeconds,
+		better: 'lower',
+		counts: (stats) => stats.hits > 0,
+	},
+	{ label: 'Best Streak', key: 'bestStreak', format: formatCount, better: 'higher' },
+];
+
+function formatStat(row, stats) {
+	if (!stats || stats[row.key] === undefined) return '-';
+	if (row.counts && !row.counts(stats)) return '-';
+	return row.format(stats[row.key]);
+}
+
+function compareColor(row, stats, best) {
+	if (!row.better || formatStat(row, best) === '-' || formatStat(row, stats) === '-') {
+		return TEXT_COLOR;
+	}
+	const value = stats[row.key];
+	const bestValue = best[row.key];
+	if (value === bestValue) return TEXT_COLOR;
+	const better = row.better === 'higher' ? value > bestValue : value < bestValue;
+	return better ? BETTER_COLOR : WORSE_COLOR;
+}
+
+// Panel for `stats` against `best` (null when there is nothing to compare
+// with). `colors` and `colorNames` are the palette's, for the per-color rows.
+// The text hangs down and to the left of the group's origin.
+export function createResultsPanel(stats, best, colors, colorNames) {
+	let text = '';
+	const colorRanges = {};
+	function write(segment, color) {
+		colorRanges[text.length] = color;
+		text += segment;
+	}
+
+	write(`${'Round Stats'.padEnd(LABEL_WIDTH)}${'You'.padStart(COLUMN_WIDTH)}${'Best'.padStart(COLUMN_WIDTH)}`, TITLE_COLOR);
+	ROWS.forEach((row) => {
+		write(`\n${row.label.padEnd(LABEL_WIDTH)}`, TEXT_COLOR);
+		write(formatStat(row, stats).padStart(COLUMN_WIDTH), compareColor(row, stats, best));
+		write(formatStat(row, best).padStart(COLUMN_WIDTH), TEXT_COLOR);
+	});
+
+	write(`\n\n${'Per Color'.padEnd(LABEL_WIDTH)}${'Hits'.padStart(COLUMN_WIDTH)}${'Acc'.padStart(COLUMN_WIDTH)}`, TITLE_COLOR);
+	stats.colors.forEach(({ shots, hits, accuracy }, i) => {
+		write(
+			`\n${(colorNames[i] ?? `Color ${i + 1}`).padEnd(LABEL_WIDTH)}${`${hits}/${shots}`.padStart(COLUMN_WIDTH)}${formatPercent(accuracy).padStart(COLUMN_WIDTH)}`,
+			colors[i] ?? TEXT_COLOR,
+		);
+	});
+
+	if (best && stats.points > best.points) {
+		write('\n\nNew Personal Best!', NEW_BEST_COLOR);
+	}
+
+	const group = new THREE.Group();
+	group.name = 'resultsPanel';
+
+	const label = new Text();
+	label.text = text;
+	label.colorRanges = colorRanges;
+	label.font = 'assets/SpaceMono-Bold.ttf';
+	label.fontSize = 0.05;
+	label.anchorX = 'right';
+	label.anchorY = 'top';
+	group.add(label);
+
+	// Dark backing sized to the text once it is laid out
+	const background = new THREE.Mesh(
+		new THREE.PlaneGeometry(1, 1),
+		new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6 }),
+	);
+	background.visible = false;
+	group.add(background);
+	label.sync(() => {
+		const [minX, minY, maxX, maxY] = label.textRenderInfo.blockBounds;
+		background.scale.set(maxX - minX + PADDING * 2, maxY - minY + PADDING * 2, 1);
+		background.position.set((minX + maxX) / 2, (minY + maxY) / 2, -0.005);
+		background.visible = true;
+	});
+
+	return group;
+}
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+
+// Room awareness for AR sessions, built on the optional WebXR features the
+// session asks for. Each one is used when the browser grants it:
+// - plane-detection: targets spawn in front of walls, tables and the floor
+// - hit-test: rays around the player find the walls, so the spawn ring is
+//   pulled in instead of putting targets inside them
+// - anchors: targets follow their anchor when tracking corrects the room
+// Without them targets spawn on the plain ring, which is what iwer's emulated
+// session exercises since it doesn't implement any of these features.
+
+const EYE_HEIGHT = 1.6; // Hit-test rays start at this height above the floor
+const WALL_RAYS = 8; // Evenly spread around the player
+const WALL_MARGIN = 0.3; // Space kept between a target and the wall behind it
+const SURFACE_GAP = 0.15; // Space between a surface and a target spawned on it
+const MIN_DISTANCE = 1.5; // Targets never spawn closer to the player than this
+const MIN_HEIGHT = 0.3;
+const MAX_HEIGHT = 2.6;
+const SPAWN_ATTEMPTS = 20;
+
+const planePoint = new THREE.Vector3();
+
+export function createRoom() {
+	return {
+		session: null,
+		planes: new Map(), // XRPlane => { polygon, matrix } for the planes tracked this frame
+		wallDistances: new Array(WALL_RAYS).fill(Infinity),
+		hitTestSources: [],
+		anchors: new Set(),
+	};
+}
+
+// Start looking for walls in a new session
+export async function startRoom(room, session, referenceSpace) {
+	stopRoom(room);
+	room.session = session;
+	if (!session.requestHitTestSource || !window.XRRay) return;
+	try {
+		const sources = await Promise.all(
+			room.wallDistances.map((_, i) => {
+				const angle = (i / WALL_RAYS) * Math.PI * 2;
+				return session.requestHitTestSource({
+					space: referenceSpace,
+					offsetRay: new window.XRRay(
+						{ x: 0, y: EYE_HEIGHT, z: 0, w: 1 },
+						{ x: Math.sin(angle), y: 0, z: Math.cos(angle), w: 0 },
+					),
+				});
+			}),
+		);
+		if (room.session === session) {
+			room.hitTestSources = sources;
+		} else {
+			// The session ended while the sources were being created
+			sources.forEach((source) => source.cancel());
+		}
+	} catch (error) {
+		// Hit-test wasn't granted, the ring just isn't clipped to the walls
+		console.warn('Hit-test unavailable:', error);
+	}
+}
+
+// Forget the session's room, anchors are created again in the next session
+export function stopRoom(room) {
+	room.hitTestSources.forEach((source) => {
+		try {
+			source.cancel();
+		} catch {
+			// do nothing, ending the session already cancelled it
+		}
+	});
+	room.hitTestSources = [];
+	room.planes.clear();
+	room.wallDistances.fill(Infinity);
+	room.anchors.forEach((handle) => {
+		handle.anchor?.delete();
+		handle.anchor = null;
+		handle.state = 'pending';
+		handle.drift.set(0, 0, 0);
+	});
+	room.session = null;
+}
+
+// Read this frame's planes, wall hits and anchor poses. Returns true on the
+// frame the first planes show up, so targets can move onto them.
+export function updateRoom(room, frame, referenceSpace) {
+	const hadPlanes = room.planes.size > 0;
+
+	const seen = new Set();
+	frame.detectedPlanes?.forEach((plane) => {
+		const pose = frame.getPose(plane.planeSpace, referenceSpace);
+		if (!pose) return;
+		let entry = room.planes.get(plane);
+		if (!entry) {
+			entry = { polygon: null, matrix: new THREE.Matrix4() };
+			room.planes.set(plane, entry);
+		}
+		entry.polygon = plane.polygon;
+		entry.matrix.fromArray(pose.transform.matrix);
+		seen.add(plane);
+	});
+	room.planes.forEach((_, plane) => {
+		if (!seen.has(plane)) room.planes.delete(plane);
+	});
+
+	room.hitTestSources.forEach((source, i) => {
+		const [hit] = frame.getHitTestResults(source);
+		const pose = hit?.getPose(referenceSpace);
+		if (pose) {
+			const { x, z } = pose.transform.position;
+			room.wallDistances[i] = Math.hypot(x, z);
+		}
+	});
+
+	room.anchors.forEach((handle) => {
+		if (handle.state === 'pending') {
+			createAnchor(handle, frame, referenceSpace);
+		} else if (handle.anchor) {
+			const pose = frame.getPose(handle.anchor.anchorSpace, referenceSpace);
+			if (pose) handle.drift.copy(pose.transform.position).sub(handle.origin);
+		}
+	});
+
+	return !hadPlanes && room.planes.size > 0;
+}
+
+// Put position on a random spot in front of a detected surface, `clearance` is
+// the target's radius. Returns false when there is no usable surface.
+export function randomSurfacePosition(room, position, clearance, random = Math.random) {
+	if (room.planes.size === 0) return false;
+	const planes = [...room.planes.values()];
+	for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+		const { polygon, matrix } = planes[Math.floor(random() * planes.length)];
+		if (!randomPointInPolygon(polygon, planePoint, random)) continue;
+
+		// The plane's normal is its local y axis, facing into the room
+		planePoint.y = clearance + SURFACE_GAP;
+		planePoint.applyMatrix4(matrix);
+		if (planePoint.y < MIN_HEIGHT || planePoint.y > MAX_HEIGHT) continue;
+		if (Math.hypot(planePoint.x, planePoint.z) < MIN_DISTANCE) continue;
+
+		position.copy(planePoint);
+		return true;
+	}
+	return false;
+}
+
+// Largest ring radius in this direction that keeps a target clear of the wall
+export function clampToWalls(room, angle, radius, clearance) {
+	const step = (Math.PI * 2) / WALL_RAYS;
+	const ray = ((Math.round(angle / step) % WALL_RAYS) + WALL_RAYS) % WALL_RAYS;
+	const limit = room.wallDistances[ray] - WALL_MARGIN - clearance;
+	return Math.max(Math.min(radius, limit), MIN_DISTANCE);
+}
+
+// Anchor a freshly spawned position. The anchor is created on the next frame
+// of a session, until then (or without anchor support) the drift stays zero.
+export function anchorPosition(room, position) {
+	const handle = {
+		state: 'pending',
+		anchor: null,
+		origin: position.clone(),
+		drift: new THREE.Vector3(), // How far tracking has moved the anchor since it was placed
+		applied: new THREE.Vector3(), // Drift currently added to the target's position
+	};
+	room.anchors.add(handle);
+	return handle;
+}
+
+export function releaseAnchor(room, handle) {
+	handle.anchor?.delete();
+	handle.anchor = null;
+	handle.state = 'released';
+	room.anchors.delete(handle);
+}
+
+// Motion patterns run in the coordinates the target spawned in, the anchor's
+// drift is taken off before and put back on after they move it
+export function removeDrift(handle, position) {
+	position.sub(handle.applied);
+}
+
+export function applyDrift(handle, position) {
+	handle.applied.copy(handle.drift);
+	position.add(handle.applied);
+}
+
+function createAnchor(handle, frame, referenceSpace) {
+	if (!frame.createAnchor) {
+		handle.state = 'unsupported';
+		return;
+	}
+	handle.state = 'creating';
+	const { x, y, z } = handle.origin;
+	frame
+		.createAnchor(new XRRigidTransform({ x, y, z }), referenceSpace)
+		.then((anchor) => {
+			// The target may have respawned, or the session ended, while the anchor was being created
+			if (handle.state !== 'creating') {
+				anchor.delete();
+				return;
+			}
+			handle.anchor = anchor;
+			handle.state = 'anchored';
+		})
+		.catch((error) => {
+			handle.state = 'unsupported';
+			console.warn('Failed to create anchor:', error);
+		});
+}
+
+// Rejection-sample a point inside a plane polygon, in the plane's x/z coordinates
+function randomPointInPolygon(polygon, point, random) {
+	if (!polygon || polygon.length < 3) return false;
+	let minX = Infinity;
+	let maxX = -Infinity;
+	let minZ = Infinity;
+	let maxZ = -Infinity;
+	polygon.forEach(({ x, z }) => {
+		minX = Math.min(minX, x);
+		maxX = Math.max(maxX, x);
+		minZ = Math.min(minZ, z);
+		maxZ = Math.max(maxZ, z);
+	});
+	for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+		const x = minX + random() * (maxX - minX);
+		const z = minZ + random() * (maxZ - minZ);
+		if (pointInPolygon(polygon, x, z)) {
+			point.set(x, 0, z);
+			return true;
+		}
+	}
+	return false;
+}
+
+function pointInPolygon(polygon, x, z) {
+	let inside = false;
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		const a = polygon[i];
+		const b = polygon[j];
+		if (a.z > z !== b.z > z && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
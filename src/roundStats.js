@@ -0,0 +1,61 @@
+// Stats of the last finished round (see getRoundStats() in game.js) and the
+// personal best per level, mode and round length, persisted in localStorage between visits.
+// Other features read the last round with getLastRoundStats() or are told
+// about each one with onRoundStats().
+const STORAGE_KEY = 'dreampop.personalBests';
+
+const listeners = new Set();
+
+let lastRoundStats = null;
+
+function loadPersonalBests() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return stored && typeof stored === 'object' ? stored : {};
+	} catch {
+		// Storage unavailable (private browsing) or corrupted - start empty
+		return {};
+	}
+}
+
+const personalBests = loadPersonalBests();
+
+// Rounds at the level's own length keep the key they had before round lengths
+function bestKey(level, mode, roundLength) {
+	return roundLength ? `${level}:${mode}:${roundLength}s` : `${level}:${mode}`;
+}
+
+// Stats of the highest scoring round of a level and mode at a round length
+// (null for the level's own), or null
+export function getPersonalBest(level, mode, roundLength = null) {
+	return personalBests[bestKey(level, mode, roundLength)] ?? null;
+}
+
+export function getLastRoundStats() {
+	return lastRoundStats;
+}
+
+// Keep the stats of a round that just ended (see getRoundStats() in game.js);
+// `stats.mode` and `stats.roundLength` pick the personal best and
+// `stats.online` rounds don't count towards it. Returns the personal best it compares against, from before this round.
+export function recordRoundStats(stats) {
+	const best = getPersonalBest(stats.level, stats.mode, stats.roundLength);
+	lastRoundStats = stats;
+	if (!stats.online && stats.points > 0 && stats.points > (best?.points ?? 0)) {
+		personalBests[bestKey(stats.level, stats.mode, stats.roundLength)] = { ...stats, date: new Date().toISOString() };
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(personalBests));
+		} catch {
+			// do nothing if storage is not available, the best still counts for this visit
+		}
+	}
+	listeners.forEach((listener) => listener(stats, best));
+	return best;
+}
+
+// Register a callback for finished rounds, called with their stats and the
+// personal best before them. Returns a function that removes it.
+export function onRoundStats(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
@@ -0,0 +1,29 @@
+// Snapshot of a round in progress, so it survives the XR session ending (headset
+// taken off, system menu, browser closing) and can be resumed in the next one
+const STORAGE_KEY = 'dreampop.savedGame';
+
+export function saveGame(snapshot) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+	} catch {
+		// do nothing if storage is not available, the round is just lost
+	}
+}
+
+// The saved round, or null if there is none
+export function loadSavedGame() {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY));
+	} catch {
+		// Storage unavailable or corrupted - nothing to resume
+		return null;
+	}
+}
+
+export function clearSavedGame() {
+	try {
+		localStorage.removeItem(STORAGE_KEY);
+	} catch {
+		// do nothing if storage is not available
+	}
+}
@@ -0,0 +1,33 @@
+// Score, hit streak and combo multiplier for a round
+
+const HITS_PER_MULTIPLIER = 5; // Consecutive hits needed to raise the multiplier
+const MAX_MULTIPLIER = 4;
+const POINTS_PER_HIT = 1;
+
+export function createScore() {
+	return {
+		points: 0,
+		streak: 0, // Consecutive matching hits
+		bestStreak: 0,
+		multiplier: 1,
+	};
+}
+
+// Count a matching hit, returns the points it was worth
+export function scoreHit(score) {
+	const points = POINTS_PER_HIT * score.multiplier;
+	score.points += points;
+	score.streak += 1;
+	score.bestStreak = Math.max(score.bestStreak, score.streak);
+	score.multiplier = Math.min(
+		MAX_MULTIPLIER,
+		1 + Math.floor(score.streak / HITS_PER_MULTIPLIER),
+	);
+	return points;
+}
+
+// A missed shot or a wrong color hit resets the streak and multiplier
+export function breakStreak(score) {
+	score.streak = 0;
+	score.multiplier = 1;
+}
@@ -0,0 +1,54 @@
+// Player preferences, persisted in localStorage between visits
+const STORAGE_KEY = 'dreampop.settings';
+
+const DEFAULT_SETTINGS = {
+	level: 'normal', // Selected difficulty level id
+	mode: 'timed', // Game mode, recorded with each high score
+	customLevels: [], // Level definitions loaded from JSON on the title card
+	initials: 'AAA', // Last initials entered for a high score
+	handedness: 'right', // Blaster hand: 'right', 'left' or 'dual' for one in each hand
+	palette: 'default', // Color palette id, see palettes.js
+	symbols: false, // Mark each color with a symbol on targets, bullets and the UI
+	ghost: true, // Play against the ghost of the level's best run
+	analytics: false, // Consent to send play events, see analytics.js
+	masterVolume: 1, // 0-1, all sounds
+	sfxVolume: 1, // 0-1, the blasters' and effects' sounds under the master volume
+	colorChange: 'stick', // Changing color: 'stick' flicks through them, 'wheel' points the stick at one, 'squeeze' steps with the grip
+	haptics: 1, // 0-1 strength of controller vibration, 0 for none
+	roundLength: null, // Seconds per round, null for the level's own length
+	hudPosition: 'top', // Where the score and timer sit on the blaster: 'top', 'side' or 'back'
+};
+
+const listeners = new Set();
+
+function loadSettings() {
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return { ...DEFAULT_SETTINGS, ...stored };
+	} catch {
+		// Storage unavailable (private browsing) or corrupted - use defaults
+		return { ...DEFAULT_SETTINGS };
+	}
+}
+
+const settings = loadSettings();
+
+export function getSetting(key) {
+	return settings[key];
+}
+
+export function setSetting(key, value) {
+	settings[key] = value;
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	} catch {
+		// do nothing if storage is not available, the value still applies for this visit
+	}
+	listeners.forEach((listener) => listener(key, value));
+}
+
+// Register a callback for setting changes, returns a function that removes it
+export function onSettingChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
@@ -0,0 +1,157 @@
+import { MODES, getMode } from './modes.js';
+import { createMenu, createMenuButton, createMenuText } from './pauseMenu.js';
+import { getSetting, onSettingChange, setSetting } from './settings.js';
+
+// In-headset settings panel, opened from the pause menu or from the title card
+// (then shown in the page and pointed at with the mouse). Each row steps its
+// setting through a few options with < and >. Settings are saved as they change
+// (see settings.js) and whoever uses them listens for the change.
+
+const PANEL_WIDTH = 1.0;
+const ROW_HEIGHT = 0.07;
+const ROW_SPACING = 0.09;
+const TOP_ROW = 0.36; // Height of the first row above the panel's center
+const LABEL_COLOR = 0xFFFFFF;
+const VALUE_COLOR = 0xFFB900; // Yellow
+const ARROW_COLOR = 0x00A4EF; // Blue
+
+function formatPercent(value) {
+	return `${Math.round(value * 100)}%`;
+}
+
+function formatName(names) {
+	return (value) => names[value] ?? `${value}`;
+}
+
+const VOLUMES = [0, 0.25, 0.5, 0.75, 1];
+
+// Each setting and the options it steps through, in order
+const SETTING_ROWS = [
+	{
+		key: 'mode',
+		label: 'Mode',
+		options: MODES.map((mode) => mode.id),
+		format: (value) => getMode(value).name,
+	},
+	{ key: 'masterVolume', label: 'Volume', options: VOLUMES, format: formatPercent },
+	{ key: 'sfxVolume', label: 'Effects', options: VOLUMES, format: formatPercent },
+	{
+		key: 'handedness',
+		label: 'Hand',
+		options: ['right', 'left', 'dual'],
+		format: formatName({ right: 'Right', left: 'Left', dual: 'Dual' }),
+	},
+	{
+		key: 'colorChange',
+		label: 'Color Change',
+		options: ['stick', 'wheel', 'squeeze'],
+		format: formatName({ wheel: 'Wheel', stick: 'Flick', squeeze: 'Grip' }),
+	},
+	{
+		key: 'haptics',
+		label: 'Haptics',
+		options: [0, 0.25, 0.5, 0.75, 1],
+		format: (value) => (value > 0 ? formatPercent(value) : 'Off'),
+	},
+	{
+		key: 'roundLength',
+		label: 'Round Length',
+		options: [null, 30, 60, 90, 120],
+		format: (value) => (value ? `${value}s` : 'Level'),
+	},
+	{
+		key: 'hudPosition',
+		label: 'Blaster HUD',
+		options: ['top', 'side', 'back'],
+		format: formatName({ top: 'Top', side: 'Side', back: 'Back' }),
+	},
+];
+
+const listeners = new Set();
+let open = false;
+
+function createRow(menu, row, i) {
+	const y = TOP_ROW - i * ROW_SPACING;
+
+	const label = createMenuText(row.label, 0.045, LABEL_COLOR);
+	label.anchorX = 'left';
+	label.position.set(-PANEL_WIDTH / 2, y, 0);
+	label.sync();
+	menu.group.add(label);
+
+	const value = createMenuText('', 0.045, VALUE_COLOR);
+	value.position.set(0.22, y, 0);
+	menu.group.add(value);
+
+	[-1, 1].forEach((step) => {
+		const button = createMenuButton(`${row.key}:${step}`, step < 0 ? '<' : '>', ARROW_COLOR, ROW_HEIGHT, ROW_HEIGHT);
+		button.panel.position.set(0.22 + step * 0.2, y, 0);
+		menu.group.add(button.panel);
+		menu.buttons.push(button);
+	});
+	return { ...row, value };
+}
+
+function showValue(row) {
+	row.value.text = row.format(getSetting(row.key));
+	row.value.sync();
+}
+
+export function createSettingsPanel() {
+	const menu = createMenu('settingsPanel');
+
+	const title = createMenuText('Settings', 0.1, 0xFFFFFF);
+	title.position.set(0, TOP_ROW + 0.13, 0);
+	menu.group.add(title);
+
+	const rows = SETTING_ROWS.map((row, i) => createRow(menu, row, i));
+	rows.forEach(showValue);
+
+	const bottom = TOP_ROW - SETTING_ROWS.length * ROW_SPACING;
+	const note = createMenuText('Mode applies from the next round', 0.03, 0xAAAAAA);
+	note.position.set(0, bottom + 0.03, 0);
+	menu.group.add(note);
+
+	const done = createMenuButton('done', 'Done', 0x7FBA00); // Green
+	done.panel.position.set(0, bottom - 0.07, 0);
+	menu.group.add(done.panel);
+	menu.buttons.push(done);
+
+	// Changes made elsewhere (the title card, another panel) show up too
+	onSettingChange((key) => {
+		const row = rows.find((other) => other.key === key);
+		if (row) showValue(row);
+	});
+
+	return { ...menu, rows };
+}
+
+// Act on the button picked on the panel, returns true for Done
+export function selectSettingsButton(panel, buttonId) {
+	if (buttonId === 'done') return true;
+	const [key, step] = buttonId.split(':');
+	const row = panel.rows.find((other) => other.key === key);
+	if (!row) return false;
+	const { options } = row;
+	const current = Math.max(0, options.indexOf(getSetting(key)));
+	setSetting(key, options[(current + Number(step) + options.length) % options.length]);
+	return false;
+}
+
+export function isSettingsPanelOpen() {
+	return open;
+}
+
+// Open or close the panel; the title card opens it in the page, the game shows it
+export function setSettingsPanelOpen(value) {
+	if (open === value) return;
+	open = value;
+	listeners.forEach((listener) => listener(open));
+}
+
+// Register a callback for the panel opening (true) and closing (false),
+// returns a function that removes it
+export function onSettingsPanelChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
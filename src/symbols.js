@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { getSymbol } from './palettes.js';
+
+// Canvas textures for the color slot symbols: a badge with one large symbol for
+// the front of the targets, and a tiled pattern that is multiplied into the
+// projectile color. Created on first use and shared.
+
+const BADGE_SIZE = 128;
+const PATTERN_SIZE = 64;
+
+const badges = new Map();
+const patterns = new Map();
+
+function traceSymbol(context, id, x, y, radius) {
+	context.beginPath();
+	switch (id) {
+		case 'triangle':
+			context.moveTo(x, y - radius);
+			context.lineTo(x + radius * 0.95, y + radius * 0.7);
+			context.lineTo(x - radius * 0.95, y + radius * 0.7);
+			break;
+		case 'square':
+			context.rect(x - radius * 0.8, y - radius * 0.8, radius * 1.6, radius * 1.6);
+			break;
+		case 'cross': {
+			const arm = radius * 0.35;
+			context.moveTo(x - arm, y - radius);
+			context.lineTo(x + arm, y - radius);
+			context.lineTo(x + arm, y - arm);
+			context.lineTo(x + radius, y - arm);
+			context.lineTo(x + radius, y + arm);
+			context.lineTo(x + arm, y + arm);
+			context.lineTo(x + arm, y + radius);
+			context.lineTo(x - arm, y + radius);
+			context.lineTo(x - arm, y + arm);
+			context.lineTo(x - radius, y + arm);
+			context.lineTo(x - radius, y - arm);
+			context.lineTo(x - arm, y - arm);
+			break;
+		}
+		case 'diamond':
+			context.moveTo(x, y - radius);
+			context.lineTo(x + radius * 0.75, y);
+			context.lineTo(x, y + radius);
+			context.lineTo(x - radius * 0.75, y);
+			break;
+		case 'star':
+			for (let i = 0; i < 10; i++) {
+				const angle = (i / 10) * Math.PI * 2 - Math.PI / 2;
+				const r = i % 2 === 0 ? radius : radius * 0.45;
+				context.lineTo(x + Math.cos(angle) * r, y + Math.sin(angle) * r);
+			}
+			break;
+		default: // circle
+			context.arc(x, y, radius * 0.85, 0, Math.PI * 2);
+	}
+	context.closePath();
+}
+
+function createCanvas(size) {
+	const canvas = document.createElement('canvas');
+	canvas.width = size;
+	canvas.height = size;
+	return canvas;
+}
+
+// Black symbol with a white outline on a transparent background, readable on any color
+export function getSymbolBadge(slot) {
+	if (!badges.has(slot)) {
+		const canvas = createCanvas(BADGE_SIZE);
+		const context = canvas.getContext('2d');
+		traceSymbol(context, getSymbol(slot).id, BADGE_SIZE / 2, BADGE_SIZE / 2, BADGE_SIZE * 0.38);
+		context.lineJoin = 'round';
+		context.lineWidth = BADGE_SIZE * 0.08;
+		context.strokeStyle = '#FFFFFF';
+		context.stroke();
+		context.fillStyle = '#000000';
+		context.fill();
+
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.colorSpace = THREE.SRGBColorSpace;
+		badges.set(slot, texture);
+	}
+	return badges.get(slot);
+}
+
+// White tile with small dark symbols, repeated over the bullet and sphere meshes
+export function getSymbolPattern(slot) {
+	if (!patterns.has(slot)) {
+		const canvas = createCanvas(PATTERN_SIZE);
+		const context = canvas.getContext('2d');
+		context.fillStyle = '#FFFFFF';
+		context.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+		context.fillStyle = '#202020';
+		const { id } = getSymbol(slot);
+		[0.25, 0.75].forEach((u) => {
+			[0.25, 0.75].forEach((v) => {
+				traceSymbol(context, id, u * PATTERN_SIZE, v * PATTERN_SIZE, PATTERN_SIZE * 0.18);
+				context.fill();
+			});
+		});
+
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.colorSpace = THREE.SRGBColorSpace;
+		texture.wrapS = THREE.RepeatWrapping;
+		texture.wrapT = THREE.RepeatWrapping;
+		texture.repeat.set(2, 2);
+		patterns.set(slot, texture);
+	}
+	return patterns.get(slot);
+}
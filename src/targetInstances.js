@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+
+// Draws every target with one instanced mesh per model part and per-instance
+// color, so the draw calls don't grow with the target count. Targets themselves
+// are plain Object3Ds that are never added to the scene: their position,
+// rotation, scale and visibility (set from the game's targets) are copied into
+// the instance matrices once per frame.
+//
+// Models are normalized so their largest half-extent is 1 and scaled to the
+// level's target size when drawn. During a pop, target.userData.burst (0-1)
+// pushes the parts apart.
+//
+// Symbol badges (for telling the colors apart without relying on hue) are
+// drawn the same way, one instanced quad per color slot on the target's front.
+// Power-up targets get a tilted ring around them, in the power-up's color,
+// turned by target.userData.spin (radians).
+
+const MIN_ACCENT_SATURATION = 0.5; // Saturated materials take the full target color
+const BASE_TINT = 0.4; // How strongly the target color tints the other materials
+const BURST_DISTANCE = 1; // How far apart the parts fly at the end of a pop, in model radii
+const BADGE_SIZE = 0.9; // Width of a symbol badge, in model radii
+const RING_RADIUS = 1.4; // Of a power-up's ring, in model radii
+const RING_TILT = new THREE.Matrix4().makeRotationX(Math.PI / 2 - 0.5); // Leaned back towards the player
+
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+const baseMatrix = new THREE.Matrix4();
+const partMatrix = new THREE.Matrix4();
+const burstMatrix = new THREE.Matrix4();
+const ringMatrix = new THREE.Matrix4();
+const badgeGeometry = new THREE.PlaneGeometry(1, 1);
+const white = new THREE.Color(0xffffff);
+const targetColor = new THREE.Color();
+const partColor = new THREE.Color();
+const hsl = {};
+
+// Plain sphere, used until the target model has loaded or when it fails to
+export function createSphereModel() {
+	return {
+		parts: [
+			{
+				geometry: new THREE.SphereGeometry(1),
+				material: new THREE.MeshBasicMaterial(),
+				tint: 1,
+				burstDirection: new THREE.Vector3(),
+			},
+		],
+		radius: 1,
+		front: 1, // How far the model reaches towards the player, where the badge goes
+	};
+}
+
+// Split a loaded glTF scene into instanceable parts, one per mesh (or primitive)
+export function createTargetModel(root) {
+	root.updateMatrixWorld(true);
+	const bounds = new THREE.Box3().setFromObject(root);
+	const center = bounds.getCenter(new THREE.Vector3());
+	const size = bounds.getSize(new THREE.Vector3());
+	const scale = 2 / Math.max(size.x, size.y, size.z);
+	const normalize = new THREE.Matrix4()
+		.makeScale(scale, scale, scale)
+		.multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+
+	const parts = [];
+	root.traverse((object) => {
+		if (!object.isMesh) return;
+		const geometry = object.geometry.clone().applyMatrix4(
+			new THREE.Matrix4().multiplyMatrices(normalize, object.matrixWorld),
+		);
+		geometry.computeBoundingSphere();
+
+		// Colorful materials (the target's face) show the target color as is,
+		// neutral ones (metal, trim) only pick up a hint of it
+		const material = object.material.clone();
+		material.color.getHSL(hsl);
+		const accent = hsl.s >= MIN_ACCENT_SATURATION;
+		if (accent) material.color.set(0xffffff);
+
+		parts.push({ geometry, material, tint: accent ? 1 : BASE_TINT, burstDirection: new THREE.Vector3() });
+	});
+	if (parts.length === 0) {
+		throw new Error('Target model has no meshes');
+	}
+
+	// Hit radius: the furthest any part reaches from the target's center
+	const radius = Math.max(
+		...parts.map(({ geometry }) => geometry.boundingSphere.center.length() + geometry.boundingSphere.radius),
+	);
+
+	// Parts fly out from the center, parts stacked on the center peel apart front to back
+	const layers = [...parts].sort(
+		(a, b) => a.geometry.boundingSphere.center.z - b.geometry.boundingSphere.center.z,
+	);
+	layers.forEach((part, layer) => {
+		const partCenter = part.geometry.boundingSphere.center;
+		if (partCenter.length() > 0.1) {
+			part.burstDirection.copy(partCenter).normalize();
+		} else {
+			part.burstDirection.set(0, 0, layer - (layers.length - 1) / 2);
+		}
+		part.burstDirection.multiplyScalar(BURST_DISTANCE);
+	});
+
+	// Normalized bounds reach from -1 to 1 on the largest axis
+	const front = (bounds.max.z - center.z) * scale;
+
+	return { parts, radius, front };
+}
+
+export function createTargetInstances(model, size, capacity) {
+	const group = new THREE.Group();
+	const meshes = model.parts.map((part) => {
+		const mesh = new THREE.InstancedMesh(part.geometry, part.material, capacity);
+		mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+		// Targets move around the whole arena, skip culling against the geometry at the origin
+		mesh.frustumCulled = false;
+		for (let i = 0; i < capacity; i++) {
+			mesh.setMatrixAt(i, hiddenMatrix);
+			mesh.setColorAt(i, white);
+		}
+		group.add(mesh);
+		return mesh;
+	});
+	const rings = new THREE.InstancedMesh(
+		new THREE.TorusGeometry(RING_RADIUS * model.radius, 0.06 * model.radius, 8, 48),
+		new THREE.MeshBasicMaterial({ toneMapped: false }),
+		capacity,
+	);
+	rings.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+	rings.frustumCulled = false;
+	for (let i = 0; i < capacity; i++) {
+		rings.setMatrixAt(i, hiddenMatrix);
+		rings.setColorAt(i, white);
+	}
+	group.add(rings);
+	return {
+		group,
+		model,
+		meshes,
+		capacity,
+		rings,
+		ringed: new Array(capacity).fill(false), // Whether each target is a power-up
+		sizeMatrix: new THREE.Matrix4().makeScale(size, size, size),
+		badgeMatrix: new THREE.Matrix4()
+			.makeTranslation(0, 0, model.front + 0.02)
+			.multiply(new THREE.Matrix4().makeScale(BADGE_SIZE, BADGE_SIZE, 1)),
+		radius: model.radius * size, // Hit radius of a target at full scale
+		slots: new Array(capacity).fill(0), // Color slot of each target
+		badges: [], // One instanced quad per color slot, empty while symbols are off
+	};
+}
+
+// Color a target and remember its color slot for the symbol badges
+export function setInstanceColor(instances, index, color, slot) {
+	targetColor.setHex(color);
+	instances.meshes.forEach((mesh, i) => {
+		partColor.copy(white).lerp(targetColor, instances.model.parts[i].tint);
+		mesh.setColorAt(index, partColor);
+		mesh.instanceColor.needsUpdate = true;
+	});
+	instances.slots[index] = slot;
+}
+
+// Put a ring of `color` around a target, or take it away with null
+export function setInstanceRing(instances, index, color) {
+	instances.ringed[index] = color !== null;
+	if (color === null) return;
+	instances.rings.setColorAt(index, targetColor.setHex(color));
+	instances.rings.instanceColor.needsUpdate = true;
+}
+
+// Show a symbol texture per color slot on the targets, or none with null
+export function setTargetSymbols(instances, textures) {
+	instances.badges.forEach((badge) => {
+		badge.removeFromParent();
+		badge.material.dispose();
+		badge.dispose();
+	});
+	instances.badges = (textures || []).map((texture) => {
+		const badge = new THREE.InstancedMesh(
+			badgeGeometry,
+			new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, toneMapped: false }),
+			instances.capacity,
+		);
+		badge.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+		badge.frustumCulled = false;
+		for (let i = 0; i < instances.capacity; i++) {
+			badge.setMatrixAt(i, hiddenMatrix);
+		}
+		instances.group.add(badge);
+		return badge;
+	});
+}
+
+// Copy each target's transform into its instances, hidden targets are scaled to nothing
+export function syncTargetInstances(instances, targets) {
+	const { meshes, model, sizeMatrix, badgeMatrix, badges, slots, rings, ringed } = instances;
+	targets.forEach((target, i) => {
+		if (!target.visible) {
+			meshes.forEach((mesh) => mesh.setMatrixAt(i, hiddenMatrix));
+			badges.forEach((badge) => badge.setMatrixAt(i, hiddenMatrix));
+			rings.setMatrixAt(i, hiddenMatrix);
+			return;
+		}
+		target.updateMatrix();
+		baseMatrix.multiplyMatrices(target.matrix, sizeMatrix);
+		const burst = target.userData.burst || 0;
+		meshes.forEach((mesh, p) => {
+			const { x, y, z } = model.parts[p].burstDirection;
+			burstMatrix.makeTranslation(x * burst, y * burst, z * burst);
+			mesh.setMatrixAt(i, partMatrix.multiplyMatrices(baseMatrix, burstMatrix));
+		});
+		// Only the badge of the target's own slot is shown, it shrinks away with the pop
+		badges.forEach((badge, slot) => {
+			badge.setMatrixAt(
+				i,
+				slot === slots[i] ? partMatrix.multiplyMatrices(baseMatrix, badgeMatrix) : hiddenMatrix,
+			);
+		});
+		if (ringed[i]) {
+			ringMatrix.makeRotationY(target.userData.spin || 0).premultiply(RING_TILT);
+			rings.setMatrixAt(i, partMatrix.multiplyMatrices(baseMatrix, ringMatrix));
+		} else {
+			rings.setMatrixAt(i, hiddenMatrix);
+		}
+	});
+	meshes.forEach((mesh) => {
+		mesh.instanceMatrix.needsUpdate = true;
+	});
+	rings.instanceMatrix.needsUpdate = true;
+	badges.forEach((badge) => {
+		badge.instanceMatrix.needsUpdate = true;
+	});
+}
+
+// Only the instance buffers belong to the arena, the model is reused by the next one
+export function disposeTargetInstances(instances) {
+	instances.group.removeFromParent();
+	instances.meshes.forEach((mesh) => mesh.dispose());
+	instances.rings.geometry.dispose();
+	instances.rings.material.dispose();
+	instances.rings.dispose();
+	setTargetSymbols(instances, null);
+}
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+
+// Handheld AR on a phone, where the session has no controllers: a tap on the
+// screen is an XR select with a `screen` target ray, fired from the tap point.
+// Like tracked hands (see hands.js) it is exposed through the methods the game
+// uses on GamepadWrapper. Page buttons over the camera view (the session's DOM
+// overlay) pick the color and pause; taps on them don't shoot.
+
+const PAUSE_BUTTON = XR_BUTTONS.BUTTON_2; // The controllers' pause button
+const BUTTON_STYLE = {
+	width: '44px',
+	height: '44px',
+	borderRadius: '22px',
+	border: '2px solid white',
+	display: 'flex',
+	alignItems: 'center',
+	justifyContent: 'center',
+	fontSize: '22px',
+	fontFamily: 'monospace',
+	color: 'black',
+	cursor: 'pointer',
+};
+
+const listeners = new Set();
+
+const touch = {
+	active: false,
+	session: null,
+	controller: null,
+	colorIndicator: null,
+	swatches: null, // Row of colors to pick from, opened by tapping the color indicator
+	pauseButton: null,
+};
+
+let renderer = null;
+let taps = 0;
+let pickedColor = null;
+let pausePressed = false;
+
+function notify() {
+	listeners.forEach((listener) => listener(touch.active));
+}
+
+// Keep taps on page controls from also firing into the scene
+function blockSelect(element) {
+	element.addEventListener('beforexrselect', (event) => event.preventDefault());
+}
+
+function createButton(style = {}) {
+	const button = document.createElement('div');
+	Object.assign(button.style, BUTTON_STYLE, style);
+	blockSelect(button);
+	return button;
+}
+
+// Aim along the tap's target ray, in the reference space the player group stands in
+function onSelect(event) {
+	if (event.inputSource.targetRayMode !== 'screen') return;
+	const pose = event.frame.getPose(event.inputSource.targetRaySpace, renderer.xr.getReferenceSpace());
+	if (!pose) return;
+	const { position, orientation } = pose.transform;
+	const { raySpace } = touch.controller;
+	raySpace.position.set(position.x, position.y, position.z);
+	raySpace.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+	raySpace.updateMatrixWorld(true);
+	taps += 1;
+}
+
+function createTouchGamepad() {
+	let triggerClicked = false;
+	let pauseClicked = false;
+
+	const gamepad = {
+		isTouch: true,
+		handedness: 'none',
+		userData: {},
+		menuOpen: false,
+		pickedColor: null, // Color slot picked on the screen this frame
+
+		update() {
+			triggerClicked = taps > 0;
+			taps = 0;
+			pauseClicked = pausePressed;
+			pausePressed = false;
+			gamepad.pickedColor = pickedColor;
+			pickedColor = null;
+		},
+
+		getButtonClick(buttonId) {
+			if (buttonId === XR_BUTTONS.TRIGGER) return triggerClicked;
+			return buttonId === PAUSE_BUTTON && pauseClicked;
+		},
+
+		getAxis() {
+			return 0;
+		},
+
+		getHapticActuator() {
+			throw new Error('The screen has no haptic actuator');
+		},
+	};
+	return gamepad;
+}
+
+// Set up the tap controller. `player` is the group the XR camera moves in.
+export function initTouch(xrRenderer, player) {
+	renderer = xrRenderer;
+	// The blaster rides along the last tap's ray, hidden behind the screen
+	const raySpace = new THREE.Group();
+	raySpace.visible = false;
+	player.add(raySpace);
+	touch.controller = {
+		raySpace,
+		gripSpace: raySpace,
+		mesh: new THREE.Group(), // No controller model to hide
+		gamepad: createTouchGamepad(),
+	};
+
+	// Tapping the color indicator opens the color row, a color picks it
+	touch.colorIndicator = document.getElementById('colorIndicator');
+	if (touch.colorIndicator) {
+		blockSelect(touch.colorIndicator);
+		touch.colorIndicator.addEventListener('click', () => {
+			if (!touch.active) return;
+			touch.swatches.style.display = touch.swatches.style.display === 'none' ? 'flex' : 'none';
+		});
+	}
+	touch.swatches = document.createElement('div');
+	Object.assign(touch.swatches.style, {
+		position: 'fixed',
+		bottom: '20px',
+		left: '84px',
+		display: 'none',
+		gap: '10px',
+		zIndex: '1000',
+	});
+	blockSelect(touch.swatches);
+	document.body.appendChild(touch.swatches);
+
+	touch.pauseButton = createButton({
+		position: 'fixed',
+		top: '16px',
+		left: '50%',
+		marginLeft: '-22px',
+		display: 'none',
+		color: 'white',
+		zIndex: '1000',
+	});
+	touch.pauseButton.textContent = 'II';
+	touch.pauseButton.addEventListener('click', () => {
+		pausePressed = true;
+	});
+	document.body.appendChild(touch.pauseButton);
+}
+
+// Fill the color row: `colors` as hex numbers, with a `glyph` each when symbols are on
+export function setTouchColors(colors, glyphs = null) {
+	touch.swatches.replaceChildren(
+		...colors.map((color, i) => {
+			const swatch = createButton({ background: `#${color.toString(16).padStart(6, '0')}` });
+			swatch.textContent = glyphs ? glyphs[i] : '';
+			swatch.addEventListener('click', () => {
+				pickedColor = i;
+				touch.swatches.style.display = 'none';
+			});
+			return swatch;
+		}),
+	);
+}
+
+export function getTouchController() {
+	return touch.controller;
+}
+
+export function isTouchActive() {
+	return touch.active;
+}
+
+// Take over input for a session held in the hand (a phone), returns whether it is one
+export function startTouch(session) {
+	if (session.interactionMode !== 'screen-space') return false;
+	touch.active = true;
+	touch.session = session;
+	taps = 0;
+	session.addEventListener('select', onSelect);
+	if (touch.colorIndicator) touch.colorIndicator.style.cursor = 'pointer';
+	touch.pauseButton.style.display = 'flex';
+	notify();
+	return true;
+}
+
+export function stopTouch() {
+	if (!touch.active) return;
+	touch.active = false;
+	touch.session.removeEventListener('select', onSelect);
+	touch.session = null;
+	if (touch.colorIndicator) touch.colorIndicator.style.cursor = '';
+	touch.swatches.style.display = 'none';
+	touch.pauseButton.style.display = 'none';
+	notify();
+}
+
+// Register a callback for phone play starting (true) and stopping (false),
+// returns a function that removes it
+export function onTouchChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}